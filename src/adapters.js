@@ -0,0 +1,160 @@
+/**
+ * Location adapters connect useUrlState to wherever the URL lives.
+ *
+ * An adapter is an object with:
+ * - `read()`: returns the current search string (without leading '?')
+ * - `write(search, { history, hidden, pathname })`: writes a new search string
+ *   with 'push' or 'replace'; `hidden` holds values to keep out of the URL, by
+ *   scope, and `pathname` (if set) replaces the current path
+ * - `subscribe(callback)`: calls back on external navigation (back/forward),
+ *   returns an unsubscribe function
+ *
+ * Adapters can also implement `index()` (position of the current history
+ * entry, or null when it isn't known) and `go(delta)` to support undo/redo, and `hidden()` to return the
+ * hidden values stored with the current entry, `href(search, pathname)` to
+ * return the URL a write would produce, and `readPath()` to return the current
+ * path (needed for pathPattern).
+ */
+
+import { getSearch, getPathname, setSearch, getHref, getEntryIndex, getHiddenState, mergeHidden, go, onPopState, onHashChange } from './internal/history.js'
+
+/**
+ * Adapter for the browser's pathname + query string.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.basePath] - Path to write instead of the current pathname
+ * @returns {Object} Location adapter
+ */
+export function createBrowserAdapter({ basePath = '' } = {}) {
+  return {
+    read: () => getSearch('browser'),
+    readPath: () => getPathname('browser'),
+    write: (search, { history = 'replace', hidden, pathname } = {}) => (
+      setSearch(search, history, 'browser', pathname || basePath, hidden)
+    ),
+    subscribe: (callback) => onPopState(callback),
+    href: (search, pathname) => getHref(search, 'browser', pathname || basePath),
+    index: getEntryIndex,
+    hidden: getHiddenState,
+    go
+  }
+}
+
+/**
+ * Adapter for hash routing, where the query lives in the fragment (e.g., #/page?query=foo).
+ *
+ * @returns {Object} Location adapter
+ */
+export function createHashAdapter() {
+  return {
+    read: () => getSearch('hash'),
+    readPath: () => getPathname('hash'),
+    write: (search, { history = 'replace', hidden, pathname } = {}) => setSearch(search, history, 'hash', pathname, hidden),
+    subscribe: (callback) => {
+      const cleanupPopState = onPopState(callback)
+      const cleanupHashChange = onHashChange(callback)
+      return () => {
+        cleanupPopState()
+        cleanupHashChange()
+      }
+    },
+    href: (search, pathname) => getHref(search, 'hash', pathname),
+    index: getEntryIndex,
+    hidden: getHiddenState,
+    go
+  }
+}
+
+/**
+ * In-memory adapter with its own history stack. Needs no DOM, so it works in
+ * tests, React Native and embedded widgets.
+ *
+ * @param {string} [initialSearch=''] - Initial search string, with or without leading '?',
+ *   or a path with a query string (e.g. '/catalog/shoes?page=2')
+ * @returns {Object} Location adapter with extra `go(delta)`, `back()` and `forward()` methods
+ */
+export function createMemoryAdapter(initialSearch = '') {
+  const [path, search] = initialSearch.startsWith('/') ? splitPath(initialSearch) : ['', stripQuestionMark(initialSearch)]
+  const entries = [{ search, pathname: path, hidden: {} }]
+  const listeners = new Set()
+  let index = 0
+
+  const go = (delta) => {
+    const next = Math.min(Math.max(index + delta, 0), entries.length - 1)
+    if (next === index) return
+
+    index = next
+    listeners.forEach(listener => listener())
+  }
+
+  return {
+    read: () => entries[index].search,
+    readPath: () => entries[index].pathname || '/',
+    write: (search, { history = 'replace', hidden, pathname } = {}) => {
+      const entry = {
+        search,
+        pathname: pathname || entries[index].pathname,
+        hidden: mergeHidden(entries[index].hidden, hidden)
+      }
+
+      if (history === 'push') {
+        entries.splice(index + 1, entries.length, entry)
+        index = entries.length - 1
+      } else {
+        entries[index] = entry
+      }
+    },
+    subscribe: (callback) => {
+      listeners.add(callback)
+      return () => listeners.delete(callback)
+    },
+    href: (search, pathname) => `${pathname || entries[index].pathname}${search ? `?${search}` : ''}`,
+    index: () => index,
+    hidden: () => entries[index].hidden,
+    go,
+    back: () => go(-1),
+    forward: () => go(1),
+    get length() {
+      return entries.length
+    }
+  }
+}
+
+// Default adapters are shared so writes from different hooks batch together
+const defaultAdapters = new Map()
+
+/**
+ * Get the shared built-in adapter for a routing mode.
+ *
+ * @param {'browser' | 'hash'} routing
+ * @param {string} [basePath]
+ * @returns {Object} Location adapter
+ */
+export function getDefaultAdapter(routing, basePath = '') {
+  const cacheKey = routing === 'hash' ? 'hash' : `browser|${basePath}`
+
+  if (!defaultAdapters.has(cacheKey)) {
+    defaultAdapters.set(cacheKey, routing === 'hash' ? createHashAdapter() : createBrowserAdapter({ basePath }))
+  }
+
+  return defaultAdapters.get(cacheKey)
+}
+
+/**
+ * @param {string} search
+ * @returns {string}
+ */
+function stripQuestionMark(search) {
+  return search.startsWith('?') ? search.slice(1) : search
+}
+
+/**
+ * Split a path with a query string into the path and the search string.
+ *
+ * @param {string} url - e.g. '/catalog/shoes?page=2'
+ * @returns {[string, string]}
+ */
+function splitPath(url) {
+  const qIndex = url.indexOf('?')
+  return qIndex >= 0 ? [url.slice(0, qIndex), url.slice(qIndex + 1)] : [url, '']
+}
@@ -0,0 +1,340 @@
+/**
+ * Compact codec: stores a value as a single URL-safe param.
+ *
+ * The value is written as JSON, compressed with LZW and encoded as base64url,
+ * with a leading '~' so compacted values can be told apart from plain ones.
+ */
+
+import { encode, parse, readPairs } from './encode.js'
+
+const PREFIX = '~'
+const MAX_CODES = 1 << 16
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+
+/**
+ * Create serialize/parse options that store the given keys as compact params.
+ * Other keys are passed through to the regular serializer and parser.
+ *
+ * @param {string[]} keys - Keys to compact; dotted paths reach into nested objects (e.g., 'orders.query')
+ * @param {Object} [options]
+ * @param {Function} [options.serialize=encode] - Serializer for the remaining keys
+ * @param {Function} [options.parse=parse] - Parser for the remaining keys
+ * @returns {{ serialize: Function, parse: Function }}
+ */
+export function createCompactCodec(keys, { serialize = encode, parse: parseRest = parse } = {}) {
+  return {
+    serialize(obj, options) {
+      let rest = obj
+      const compact = []
+
+      keys.forEach(path => {
+        const value = getPath(obj, path)
+        if (value !== undefined) {
+          compact.push(`${encodeURIComponent(path)}=${encodeCompact(value)}`)
+          rest = omitPath(rest, path)
+        }
+      })
+
+      return [serialize(rest, options), ...compact].filter(Boolean).join('&')
+    },
+
+    parse(search, options) {
+      const cleanSearch = search.startsWith('?') ? search.slice(1) : search
+      const pieces = cleanSearch.split('&').filter(Boolean)
+      const pairs = readPairs(cleanSearch)
+      const decoded = []
+
+      // Hand the remaining pieces to the parser untouched, so its format still applies
+      const rest = pieces.filter((piece, i) => {
+        if (!keys.includes(pairs[i].key)) return true
+        decoded.push([pairs[i].key, decodeCompact(pairs[i].value)])
+        return false
+      })
+
+      const result = parseRest(rest.join('&'), options)
+
+      decoded.forEach(([path, value]) => {
+        if (value !== undefined) {
+          setPath(result, path, value)
+        }
+      })
+
+      return result
+    }
+  }
+}
+
+/**
+ * Encode a JSON-serializable value as a compact URL-safe string.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function encodeCompact(value) {
+  const bytes = new TextEncoder().encode(JSON.stringify(value))
+  return PREFIX + toBase64Url(packCodes(lzwCompress(bytes)))
+}
+
+/**
+ * Decode a string produced by encodeCompact.
+ *
+ * @param {string} str
+ * @returns {*} The decoded value, or undefined if the string isn't a valid compact value
+ */
+export function decodeCompact(str) {
+  if (typeof str !== 'string' || !str.startsWith(PREFIX)) {
+    return undefined
+  }
+
+  try {
+    const bytes = lzwDecompress(unpackCodes(fromBase64Url(str.slice(PREFIX.length))))
+    return JSON.parse(new TextDecoder().decode(bytes))
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * Check whether a string looks like a compact value.
+ *
+ * @param {*} str
+ * @returns {boolean}
+ */
+export function isCompact(str) {
+  return typeof str === 'string' && str.startsWith(PREFIX)
+}
+
+/**
+ * Bit width of the k-th code. Code k is always below the dictionary size at
+ * that point (256 + k, capped), so encoder and decoder agree on the width.
+ *
+ * @param {number} k
+ * @returns {number}
+ */
+function codeWidth(k) {
+  return (Math.min(256 + k, MAX_CODES) - 1).toString(2).length
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number[]} LZW codes
+ */
+function lzwCompress(bytes) {
+  const dict = new Map()
+  for (let i = 0; i < 256; i++) {
+    dict.set(String.fromCharCode(i), i)
+  }
+
+  const codes = []
+  let phrase = ''
+
+  bytes.forEach(byte => {
+    const char = String.fromCharCode(byte)
+    const joined = phrase + char
+
+    if (dict.has(joined)) {
+      phrase = joined
+    } else {
+      codes.push(dict.get(phrase))
+      if (dict.size < MAX_CODES) {
+        dict.set(joined, dict.size)
+      }
+      phrase = char
+    }
+  })
+
+  if (phrase) {
+    codes.push(dict.get(phrase))
+  }
+
+  return codes
+}
+
+/**
+ * @param {number[]} codes - LZW codes
+ * @returns {Uint8Array}
+ */
+function lzwDecompress(codes) {
+  const dict = []
+  for (let i = 0; i < 256; i++) {
+    dict.push(String.fromCharCode(i))
+  }
+
+  let previous = dict[codes[0]]
+  let output = previous
+
+  for (let i = 1; i < codes.length; i++) {
+    const code = codes[i]
+    let entry
+
+    if (code < dict.length) {
+      entry = dict[code]
+    } else if (code === dict.length) {
+      entry = previous + previous[0]
+    } else {
+      throw new Error('Invalid compact value')
+    }
+
+    output += entry
+    if (dict.length < MAX_CODES) {
+      dict.push(previous + entry[0])
+    }
+    previous = entry
+  }
+
+  return Uint8Array.from(output, char => char.charCodeAt(0))
+}
+
+/**
+ * Pack codes into bytes using the variable code width.
+ *
+ * @param {number[]} codes
+ * @returns {number[]}
+ */
+function packCodes(codes) {
+  const bytes = []
+  let buffer = 0
+  let bufferBits = 0
+
+  codes.forEach((code, k) => {
+    buffer |= code << bufferBits
+    bufferBits += codeWidth(k)
+
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xff)
+      buffer >>>= 8
+      bufferBits -= 8
+    }
+  })
+
+  if (bufferBits > 0) {
+    bytes.push(buffer & 0xff)
+  }
+
+  return bytes
+}
+
+/**
+ * Unpack codes from bytes. Padding in the last byte is always shorter than
+ * a code, so it is never read as one.
+ *
+ * @param {number[]} bytes
+ * @returns {number[]}
+ */
+function unpackCodes(bytes) {
+  const codes = []
+  let buffer = 0
+  let bufferBits = 0
+  let index = 0
+
+  while (true) {
+    const width = codeWidth(codes.length)
+
+    while (bufferBits < width && index < bytes.length) {
+      buffer |= bytes[index++] << bufferBits
+      bufferBits += 8
+    }
+
+    if (bufferBits < width) break
+
+    codes.push(buffer & ((1 << width) - 1))
+    buffer >>>= width
+    bufferBits -= width
+  }
+
+  return codes
+}
+
+/**
+ * @param {number[]} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+  let result = ''
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0)
+    const chars = i + 2 < bytes.length ? 4 : i + 1 < bytes.length ? 3 : 2
+
+    for (let j = 0; j < chars; j++) {
+      result += BASE64URL[(chunk >> (18 - j * 6)) & 63]
+    }
+  }
+
+  return result
+}
+
+/**
+ * @param {string} str
+ * @returns {number[]}
+ */
+function fromBase64Url(str) {
+  const bytes = []
+  let buffer = 0
+  let bufferBits = 0
+
+  for (const char of str) {
+    const value = BASE64URL.indexOf(char)
+    if (value < 0) {
+      throw new Error('Invalid compact value')
+    }
+
+    buffer = (buffer << 6) | value
+    bufferBits += 6
+
+    if (bufferBits >= 8) {
+      bufferBits -= 8
+      bytes.push((buffer >> bufferBits) & 0xff)
+    }
+  }
+
+  return bytes
+}
+
+/**
+ * @param {Object} obj
+ * @param {string} path - Dotted path
+ * @returns {*}
+ */
+function getPath(obj, path) {
+  return path.split('.').reduce((current, part) => (current != null ? current[part] : undefined), obj)
+}
+
+/**
+ * @param {Object} obj
+ * @param {string} path - Dotted path
+ * @param {*} value
+ */
+function setPath(obj, path, value) {
+  const parts = path.split('.')
+  let current = obj
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    if (!current[parts[i]] || typeof current[parts[i]] !== 'object') {
+      current[parts[i]] = {}
+    }
+    current = current[parts[i]]
+  }
+
+  current[parts[parts.length - 1]] = value
+}
+
+/**
+ * Copy an object without the value at a dotted path.
+ *
+ * @param {Object} obj
+ * @param {string} path - Dotted path
+ * @returns {Object}
+ */
+function omitPath(obj, path) {
+  const [head, ...tail] = path.split('.')
+  const result = { ...obj }
+
+  if (tail.length === 0) {
+    delete result[head]
+  } else if (result[head] && typeof result[head] === 'object') {
+    result[head] = omitPath(result[head], tail.join('.'))
+  }
+
+  return result
+}
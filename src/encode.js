@@ -1,100 +1,361 @@
+import { isType, detectType } from './schema.js'
+
 /**
  * Encodes a nested object into a URL query string.
- * Arrays are repeated (e.g., tags=a&tags=b).
- * Nested objects use dot notation (e.g., user.name=alice).
+ *
+ * Formats:
+ * - 'dot' (default): arrays repeat the key (tags=a&tags=b), objects use dots (user.name=alice)
+ * - 'bracket': tags[]=a&tags[]=b, user[name]=alice
+ * - 'indexed': tags[0]=a&tags[1]=b, user[name]=alice
+ * - 'comma': tags=a,b, user.name=alice
+ *
+ * Values round-trip without losing shape: `null` is written as a bare key
+ * (`key`), an empty string as `key=`, and `undefined` is left out. Arrays
+ * that repeated keys can't express use an explicit marker: `tags[]=x` for a
+ * single item and a bare `tags[]` for an empty array. A null item is a bare
+ * key too; a bare `tags[]` only stands for null once the array has started,
+ * so an array starting with null is preceded by the marker (`tags[]&tags[]`
+ * for `[null]`). Comma lists holding null use repeated keys.
+ *
+ * Date, BigInt, Set and Map values without a schema type are written with
+ * a detected one (see detectType); pass the same types as schema to parse
+ * them back.
+ *
+ * Arrays holding objects or arrays are written with item indices in every
+ * format (sorts.0.field=name, or sorts[0][field]=name with brackets), in
+ * array order. Inner arrays always use the marker (m.0[]=1&m.0[]=2).
  *
  * @param {Object} obj - The object to encode
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Per-key types used to encode values
+ * @param {'dot' | 'bracket' | 'indexed' | 'comma'} [options.format='dot'] - Key and array format
  * @returns {string} URL query string (without leading '?')
  */
-export function encode(obj) {
-  const params = new URLSearchParams()
+export function encode(obj, options = {}) {
+  const { schema, format = 'dot' } = options
+  const pairs = []
+  const source = schema ? encodeWithSchema(obj, schema) : obj
 
-  function addParam(key, value) {
-    if (value === null || value === undefined) {
+  function addParam(key, value, inner = false) {
+    if (value === undefined) {
       return
     }
 
-    if (Array.isArray(value)) {
-      value.forEach(item => {
-        params.append(key, String(item))
-      })
+    const detected = detectType(value)
+
+    if (value === null) {
+      pairs.push(encodeKey(key))
+    } else if (detected) {
+      addParam(key, detected.encode(value))
+    } else if (Array.isArray(value)) {
+      if (value.length === 0) {
+        pairs.push(encodeKey(`${key}[]`))
+      } else if (value.some(item => isPlainObject(item) || Array.isArray(item))) {
+        // Items with their own keys need an index to stay together
+        value.forEach((item, i) => {
+          addParam(usesBrackets(format) ? `${key}[${i}]` : `${key}.${i}`, item, true)
+        })
+      } else if (format === 'comma' && value.length > 1 && !value.includes(null) && !inner) {
+        pairs.push(`${encodeKey(key)}=${value.map(item => encodeValue(String(item))).join(',')}`)
+      } else {
+        // Repeated keys and comma lists can't tell one item from a scalar, so mark it with []
+        // An inner array's index key alone would read as an object key, so it is always marked
+        const marked = format === 'bracket' || value.length === 1 || inner
+        if (marked && format !== 'indexed' && value[0] === null) {
+          pairs.push(encodeKey(`${key}[]`))
+        }
+        value.forEach((item, i) => {
+          addParam(format === 'indexed' ? `${key}[${i}]` : marked ? `${key}[]` : key, item)
+        })
+      }
     } else if (typeof value === 'object' && value.constructor === Object) {
       Object.keys(value).forEach(nestedKey => {
-        addParam(`${key}.${nestedKey}`, value[nestedKey])
+        addParam(usesBrackets(format) ? `${key}[${nestedKey}]` : `${key}.${nestedKey}`, value[nestedKey])
       })
     } else {
-      params.append(key, String(value))
+      pairs.push(`${encodeKey(key)}=${encodeValue(String(value))}`)
     }
   }
 
-  Object.keys(obj).forEach(key => {
-    addParam(key, obj[key])
+  Object.keys(source).forEach(key => {
+    addParam(key, source[key])
   })
 
-  return params.toString()
+  return pairs.join('&')
 }
 
 /**
  * Parses a URL query string into a nested object.
- * Handles arrays (repeated keys) and dot notation for nested objects.
+ * Handles arrays and nested objects in the given format (see encode).
+ * An index followed by more keys (sorts.0.field) makes an array item; items
+ * are read in index order, whatever order the params come in, and gaps
+ * between indices are closed.
+ * Keys covered by a schema are decoded by their type; all other values
+ * are coerced to numbers and booleans where they look like one.
  *
  * @param {string} search - URL query string (with or without leading '?')
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Per-key types used to decode values
+ * @param {'dot' | 'bracket' | 'indexed' | 'comma'} [options.format='dot'] - Key and array format
  * @returns {Object} Parsed object
  */
-export function parse(search) {
+export function parse(search, options = {}) {
+  const { schema, format = 'dot' } = options
   const result = {}
+
+  readPairs(search).forEach(({ key, value, rawValue }) => {
+    const path = keyPath(key, format)
+    // Keys like __proto__[p] would write to Object.prototype
+    if (path.some(isUnsafeKey)) return
+
+    const parsed = format === 'comma' && rawValue !== null && rawValue.includes(',')
+      ? rawValue.split(',').map(decodeComponent)
+      : value
+
+    let current = result
+    // Whether this param created the container its last part goes into
+    let created = false
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const part = path[i]
+      const next = path[i + 1]
+      created = false
+
+      if (part === '' && Array.isArray(current)) {
+        // tags[][name]=a: each occurrence starts a new item
+        current.push({})
+        current = current[current.length - 1]
+        continue
+      }
+
+      const indexed = isIndex(next) && (format === 'indexed' || i + 2 < path.length)
+
+      if (!current[part] || typeof current[part] !== 'object') {
+        current[part] = next === '' || indexed ? [] : {}
+        created = true
+      } else if (indexed && !Array.isArray(current[part]) && Object.keys(current[part]).every(isIndex)) {
+        // Scalar items read before the first item with keys of its own (s.0=1&s.1.a=1)
+        current[part] = Object.assign([], current[part])
+      }
+      current = current[part]
+    }
+
+    const lastPart = path[path.length - 1]
+
+    if (lastPart === '' && Array.isArray(current)) {
+      // A bare tags[] marks an empty array, or is a null item once the array has started
+      if (parsed !== null) {
+        current.push(...[].concat(parsed))
+      } else if (!created) {
+        current.push(null)
+      }
+    } else if (current[lastPart] !== undefined) {
+      // Handle repeated keys (arrays)
+      current[lastPart] = [].concat(current[lastPart], parsed)
+    } else {
+      current[lastPart] = parsed
+    }
+  })
+
+  return decodeWithSchema(result, schema || {})
+}
+
+/**
+ * Split a query string into decoded key/value pairs, keeping the raw value.
+ * A bare key without '=' has a `null` value.
+ *
+ * @param {string} search - URL query string (with or without leading '?')
+ * @returns {Array<{ key: string, value: string|null, rawValue: string|null }>}
+ */
+export function readPairs(search) {
   const cleanSearch = search.startsWith('?') ? search.slice(1) : search
 
   if (!cleanSearch) {
-    return result
+    return []
   }
 
-  const params = new URLSearchParams(cleanSearch)
+  return cleanSearch
+    .split('&')
+    .filter(Boolean)
+    .map(piece => {
+      const eqIndex = piece.indexOf('=')
+      const rawKey = eqIndex >= 0 ? piece.slice(0, eqIndex) : piece
+      const rawValue = eqIndex >= 0 ? piece.slice(eqIndex + 1) : null
+      return { key: decodeComponent(rawKey), value: rawValue === null ? null : decodeComponent(rawValue), rawValue }
+    })
+}
 
-  params.forEach((value, key) => {
-    // Handle dot notation (e.g., "user.name")
-    if (key.includes('.')) {
-      const parts = key.split('.')
-      let current = result
+/**
+ * Split a decoded param key into its path segments for a format.
+ * An empty segment stands for an array push (tags[]), which dot and comma
+ * formats use to mark single-item and empty arrays.
+ *
+ * @param {string} key - e.g. 'user.name', 'user[name]' or 'tags[]'
+ * @param {'dot' | 'bracket' | 'indexed' | 'comma'} [format='dot']
+ * @returns {string[]}
+ */
+export function keyPath(key, format = 'dot') {
+  if (!usesBrackets(format)) {
+    return key.endsWith('[]') ? [...key.slice(0, -2).split('.'), ''] : key.split('.')
+  }
 
-      for (let i = 0; i < parts.length - 1; i++) {
-        const part = parts[i]
-        if (!current[part] || typeof current[part] !== 'object' || Array.isArray(current[part])) {
-          current[part] = {}
-        }
-        current = current[part]
-      }
+  const match = /^([^[]+)((?:\[[^\]]*\])*)$/.exec(key)
+  if (!match) {
+    return [key]
+  }
 
-      const lastPart = parts[parts.length - 1]
+  const segments = match[2] ? match[2].slice(1, -1).split('][') : []
+  return [match[1], ...segments]
+}
 
-      // Handle repeated keys (arrays) in nested context
-      if (current[lastPart] !== undefined) {
-        if (Array.isArray(current[lastPart])) {
-          current[lastPart].push(coerceValue(value))
-        } else {
-          current[lastPart] = [current[lastPart], coerceValue(value)]
-        }
-      } else {
-        current[lastPart] = coerceValue(value)
+/**
+ * @param {string} format
+ * @returns {boolean}
+ */
+function usesBrackets(format) {
+  return format === 'bracket' || format === 'indexed'
+}
+
+/**
+ * @param {string} part
+ * @returns {boolean}
+ */
+function isUnsafeKey(part) {
+  return part === '__proto__' || part === 'constructor' || part === 'prototype'
+}
+
+/**
+ * @param {string} part
+ * @returns {boolean}
+ */
+function isIndex(part) {
+  return /^\d+$/.test(part)
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object
+}
+
+/**
+ * Encode a param key, leaving brackets readable.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function encodeKey(key) {
+  return encodeValue(key).replace(/%5B/g, '[').replace(/%5D/g, ']')
+}
+
+/**
+ * Encode a param value the way form submissions do (spaces as '+').
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeValue(value) {
+  return encodeURIComponent(value).replace(/%20/g, '+')
+}
+
+/**
+ * Decode a key or value, falling back to the raw text for malformed escapes.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeComponent(str) {
+  const spaced = str.replace(/\+/g, ' ')
+  try {
+    return decodeURIComponent(spaced)
+  } catch (err) {
+    return spaced
+  }
+}
+
+/**
+ * Run values through their schema types before encoding.
+ *
+ * @param {Object} obj - State object
+ * @param {Object} schema - Per-key types or nested schemas
+ * @returns {Object} Object with typed values replaced by their URL form
+ */
+function encodeWithSchema(obj, schema) {
+  const result = { ...obj }
+
+  Object.keys(schema).forEach(key => {
+    const entry = schema[key]
+    const value = result[key]
+
+    if (value === null || value === undefined) return
+
+    if (isType(entry)) {
+      result[key] = entry.encode(value)
+    } else if (entry && Array.isArray(value)) {
+      // A nested schema on an array applies to each object item
+      result[key] = value.map(item => (isPlainObject(item) ? encodeWithSchema(item, entry) : item))
+    } else if (entry && typeof value === 'object' && value.constructor === Object) {
+      result[key] = encodeWithSchema(value, entry)
+    }
+  })
+
+  return result
+}
+
+/**
+ * Decode raw parsed values. Keys with a schema type are handed to the type;
+ * keys without one fall back to coerceValue. Keys whose type rejects the
+ * raw value are left out. Explicit nulls are kept for keys without a type;
+ * a typed key rejects them like any value it can't decode.
+ *
+ * @param {Object} raw - Parsed object with string values
+ * @param {Object} schema - Per-key types or nested schemas
+ * @returns {Object} Decoded object
+ */
+function decodeWithSchema(raw, schema) {
+  const result = {}
+
+  Object.keys(raw).forEach(key => {
+    const entry = schema[key]
+    // Indexed keys can leave holes (tags[2]=a); keep the items in order
+    const value = Array.isArray(raw[key]) ? raw[key].filter(() => true) : raw[key]
+
+    if (isType(entry)) {
+      const decoded = value === null ? undefined : entry.decode(value)
+      if (decoded !== undefined) {
+        result[key] = decoded
       }
+    } else if (value === null) {
+      result[key] = null
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      result[key] = decodeWithSchema(value, entry || {})
+    } else if (Array.isArray(value)) {
+      result[key] = value.map(item => decodeItem(item, entry || {}))
     } else {
-      // Handle top-level keys
-      if (result[key] !== undefined) {
-        // Repeated key = array
-        if (Array.isArray(result[key])) {
-          result[key].push(coerceValue(value))
-        } else {
-          result[key] = [result[key], coerceValue(value)]
-        }
-      } else {
-        result[key] = coerceValue(value)
-      }
+      result[key] = coerceValue(value)
     }
   })
 
   return result
 }
 
+/**
+ * Decode one array item: objects by the array's nested schema, inner arrays
+ * item by item, strings by coercion.
+ *
+ * @param {*} item
+ * @param {Object} schema - Nested schema for object items
+ * @returns {*}
+ */
+function decodeItem(item, schema) {
+  if (typeof item === 'string') return coerceValue(item)
+  if (isPlainObject(item)) return decodeWithSchema(item, schema)
+  if (Array.isArray(item)) return item.filter(() => true).map(inner => decodeItem(inner, schema))
+  return item
+}
+
 /**
  * Coerce string values to their likely type (number, boolean, or string).
  *
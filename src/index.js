@@ -1,2 +1,9 @@
 export { useUrlState } from './use-url-state.js'
+export { useUrlStateKey } from './use-url-state-key.js'
+export { UrlStateProvider } from './provider.js'
+export { UrlStateLink } from './link.js'
 export { encode, parse } from './encode.js'
+export { batch } from './internal/batch.js'
+export { types, createType } from './schema.js'
+export { createBrowserAdapter, createHashAdapter, createMemoryAdapter } from './adapters.js'
+export { createCompactCodec, encodeCompact, decodeCompact } from './codec.js'
@@ -0,0 +1,130 @@
+/**
+ * Batching of URL writes.
+ *
+ * Writes queued in the same tick (or inside `batch()`) are applied one after
+ * another to the adapter's current search string and committed with a single
+ * write, so they produce a single history entry. Hook instances subscribe to
+ * committed writes to stay in sync, since pushState/replaceState fire no event.
+ */
+
+let queue = []
+let batchDepth = 0
+let flushScheduled = false
+
+// Per-adapter listeners notified after a write is committed
+const writeListeners = new Map()
+
+/**
+ * Queue a URL write.
+ *
+ * @param {Object} write
+ * @param {Object} write.adapter - Location adapter to write to
+ * @param {Function} write.apply - Maps the current search string to the new one
+ * @param {'push' | 'replace'} write.history - History mode for this write
+ * @param {Object} [write.hidden] - Values to store in the history entry instead of the URL, by scope
+ * @param {string} [write.pathname] - New path; the last write that sets one wins
+ * @param {Function} [write.onCommit] - Called with the history mode used once the write is committed
+ * @param {*} [write.owner] - Who made the write, passed on to onWrite listeners
+ */
+export function queueWrite(write) {
+  queue.push(write)
+
+  if (batchDepth === 0 && !flushScheduled) {
+    flushScheduled = true
+    queueMicrotask(flushWrites)
+  }
+}
+
+/**
+ * Run a function and commit every URL write it makes as one history entry.
+ *
+ * @param {Function} fn
+ * @returns {*} The return value of fn
+ */
+export function batch(fn) {
+  batchDepth++
+  try {
+    return fn()
+  } finally {
+    batchDepth--
+    if (batchDepth === 0) {
+      flushWrites()
+    }
+  }
+}
+
+/**
+ * Commit all queued writes, one write per adapter. An adapter's write uses
+ * `push` if any of its queued writes asked for it.
+ */
+export function flushWrites() {
+  flushScheduled = false
+
+  const writes = queue
+  queue = []
+
+  const groups = new Map()
+  writes.forEach(write => {
+    if (!groups.has(write.adapter)) {
+      groups.set(write.adapter, [])
+    }
+    groups.get(write.adapter).push(write)
+  })
+
+  groups.forEach((group, adapter) => {
+    const search = group.reduce((current, write) => write.apply(current), adapter.read())
+    const history = group.some(write => write.history === 'push') ? 'push' : 'replace'
+    const hidden = group.some(write => write.hidden)
+      ? group.reduce(combineHidden, {})
+      : undefined
+    const pathname = group.reduce((current, write) => write.pathname || current, undefined)
+
+    adapter.write(search, { history, hidden, pathname })
+
+    group.forEach(write => write.onCommit && write.onCommit(history))
+
+    const owners = new Set(group.map(write => write.owner))
+    const listeners = writeListeners.get(adapter)
+    if (listeners) {
+      listeners.forEach(listener => listener(history, owners))
+    }
+  })
+}
+
+/**
+ * Add a listener for writes committed to an adapter. It is called with the
+ * history mode of the write and the set of owners of the writes it combined.
+ *
+ * @param {Object} adapter
+ * @param {Function} callback
+ * @returns {Function} Cleanup function
+ */
+export function onWrite(adapter, callback) {
+  if (!writeListeners.has(adapter)) {
+    writeListeners.set(adapter, new Set())
+  }
+  writeListeners.get(adapter).add(callback)
+
+  return () => {
+    const listeners = writeListeners.get(adapter)
+    listeners.delete(callback)
+    if (listeners.size === 0) {
+      writeListeners.delete(adapter)
+    }
+  }
+}
+
+/**
+ * Fold a write's hidden values into the ones collected so far, by scope and
+ * key. Undefined values are kept so the adapter removes those keys.
+ *
+ * @param {Object} merged
+ * @param {Object} write
+ * @returns {Object}
+ */
+function combineHidden(merged, write) {
+  Object.keys(write.hidden || {}).forEach(scope => {
+    merged[scope] = { ...merged[scope], ...write.hidden[scope] }
+  })
+  return merged
+}
@@ -2,6 +2,12 @@
  * SSR-safe utilities for reading and writing URL state.
  */
 
+// Key under which entries written by setSearch are tagged in history.state
+const STATE_KEY = '__urlState'
+
+// hashchange events dispatched by setSearch; our own listeners skip them
+const ownHashChanges = new WeakSet()
+
 /**
  * Check if we're in a browser environment.
  *
@@ -29,45 +35,165 @@ export function getSearch(routing = 'browser') {
   return globalThis.window.location.search.slice(1)
 }
 
+/**
+ * Get the current path based on routing mode: the pathname, or the path part
+ * of the hash for hash routing.
+ *
+ * @param {'browser' | 'hash'} routing
+ * @returns {string} The path, starting with '/'
+ */
+export function getPathname(routing = 'browser') {
+  if (!isBrowser()) return '/'
+
+  if (routing === 'hash') {
+    const hashPath = globalThis.window.location.hash.slice(1).split('?')[0]
+    return hashPath || '/'
+  }
+
+  return globalThis.window.location.pathname
+}
+
+/**
+ * Position of the current history entry, as tagged by setSearch.
+ * Entries not written by setSearch have no known position.
+ *
+ * @returns {number|null}
+ */
+export function getEntryIndex() {
+  if (!isBrowser()) return 0
+
+  const state = globalThis.window.history.state
+  const tag = state && state[STATE_KEY]
+  return tag && typeof tag.idx === 'number' ? tag.idx : null
+}
+
+/**
+ * Hidden values stored in the current history entry, by scope.
+ *
+ * @returns {Object}
+ */
+export function getHiddenState() {
+  if (!isBrowser()) return {}
+
+  const state = globalThis.window.history.state
+  const tag = state && state[STATE_KEY]
+  return (tag && tag.hidden) || {}
+}
+
+/**
+ * Merge hidden values by scope and key. An undefined value removes the key.
+ *
+ * @param {Object} current - Hidden values, by scope
+ * @param {Object} [update] - New hidden values, by scope
+ * @returns {Object}
+ */
+export function mergeHidden(current, update) {
+  const merged = { ...current }
+
+  Object.keys(update || {}).forEach(scope => {
+    const values = { ...merged[scope], ...update[scope] }
+    Object.keys(values).forEach(key => {
+      if (values[key] === undefined) {
+        delete values[key]
+      }
+    })
+    merged[scope] = values
+  })
+
+  return merged
+}
+
+/**
+ * Build the history.state for a write. Pushed entries get the next index;
+ * replaced entries keep their index and any state other code stored there.
+ * Hidden values carry over from the current entry, updated per key.
+ *
+ * @param {'push' | 'replace'} history
+ * @param {Object} [hidden] - Hidden values to store, by scope
+ * @returns {Object}
+ */
+function entryState(history, hidden) {
+  const idx = getEntryIndex() || 0
+  const hiddenState = mergeHidden(getHiddenState(), hidden)
+
+  if (history === 'push') {
+    return { [STATE_KEY]: { idx: idx + 1, hidden: hiddenState } }
+  }
+
+  const current = globalThis.window.history.state
+  const base = current && typeof current === 'object' ? current : {}
+  return { ...base, [STATE_KEY]: { ...base[STATE_KEY], idx, hidden: hiddenState } }
+}
+
+/**
+ * Build the URL a search string would be written to: the path-relative URL
+ * for browser routing, the full URL with the query in the hash for hash routing.
+ *
+ * @param {string} search - Search string (without leading '?')
+ * @param {'browser' | 'hash'} routing - Routing mode
+ * @param {string} [path] - Path to write instead of the current one (the path in the hash for hash routing)
+ * @returns {string}
+ */
+export function getHref(search, routing = 'browser', path = '') {
+  const prefix = search ? '?' : ''
+
+  if (!isBrowser()) return `${path}${prefix}${search}`
+
+  if (routing === 'hash') {
+    const currentHash = globalThis.window.location.hash
+    const hashPath = path ? `#${path}` : currentHash.split('?')[0] || '#/'
+
+    const url = new URL(globalThis.window.location.href)
+    url.hash = search ? `${hashPath}?${search}` : hashPath
+    return url.toString()
+  }
+
+  const { pathname, hash } = globalThis.window.location
+  // Keep the fragment so in-page anchors survive
+  return `${path || pathname}${prefix}${search}${hash}`
+}
+
 /**
  * Write a new search string to the URL.
+ * The entry is tagged in history.state with its position (see getEntryIndex).
  *
  * @param {string} search - New search string (without leading '?')
  * @param {'push' | 'replace'} history - History mode
  * @param {'browser' | 'hash'} routing - Routing mode
- * @param {string} [basePath] - Optional base path for browser routing
+ * @param {string} [path] - Path to write instead of the current one (the path in the hash for hash routing)
+ * @param {Object} [hidden] - Values to keep in history.state instead of the URL, by scope
  */
-export function setSearch(search, history = 'replace', routing = 'browser', basePath = '') {
+export function setSearch(search, history = 'replace', routing = 'browser', path = '', hidden) {
   if (!isBrowser()) return
 
-  const prefix = search ? '?' : ''
+  const state = entryState(history, hidden)
+  const newUrl = getHref(search, routing, path)
 
-  if (routing === 'hash') {
-    const currentHash = globalThis.window.location.hash
-    const hashPath = currentHash.split('?')[0] || '#/'
-    const newHash = search ? `${hashPath}?${search}` : hashPath
-
-    if (history === 'push') {
-      globalThis.window.location.hash = newHash
-    } else {
-      // Replace hash without adding history entry
-      const url = new URL(globalThis.window.location.href)
-      url.hash = newHash
-      globalThis.window.history.replaceState(null, '', url.toString())
+  if (history === 'push') {
+    const oldUrl = globalThis.window.location.href
+    globalThis.window.history.pushState(state, '', newUrl)
+
+    // pushState fires no hashchange; a pushed hash used to, and hash routers rely on it
+    if (routing === 'hash' && globalThis.window.location.href !== oldUrl) {
+      dispatchHashChange(oldUrl, globalThis.window.location.href)
     }
   } else {
-    const currentPath = globalThis.window.location.pathname
-    const path = basePath || currentPath
-    const newUrl = search ? `${path}?${search}` : path
-
-    if (history === 'push') {
-      globalThis.window.history.pushState(null, '', newUrl)
-    } else {
-      globalThis.window.history.replaceState(null, '', newUrl)
-    }
+    // Replace without adding a history entry
+    globalThis.window.history.replaceState(state, '', newUrl)
   }
 }
 
+/**
+ * Move through the session history.
+ *
+ * @param {number} delta
+ */
+export function go(delta) {
+  if (!isBrowser() || delta === 0) return
+
+  globalThis.window.history.go(delta)
+}
+
 /**
  * Add a listener for popstate events (back/forward navigation).
  *
@@ -82,7 +208,20 @@ export function onPopState(callback) {
 }
 
 /**
- * Add a listener for hashchange events (for hash routing).
+ * Fire hashchange for a hash pushed by setSearch.
+ *
+ * @param {string} oldURL
+ * @param {string} newURL
+ */
+function dispatchHashChange(oldURL, newURL) {
+  const event = new globalThis.window.HashChangeEvent('hashchange', { oldURL, newURL })
+  ownHashChanges.add(event)
+  globalThis.window.dispatchEvent(event)
+}
+
+/**
+ * Add a listener for hashchange events (for hash routing). Events fired for
+ * our own writes are skipped; those reach hooks through onWrite.
  *
  * @param {Function} callback
  * @returns {Function} Cleanup function
@@ -90,6 +229,25 @@ export function onPopState(callback) {
 export function onHashChange(callback) {
   if (!isBrowser()) return () => {}
 
-  globalThis.window.addEventListener('hashchange', callback)
-  return () => globalThis.window.removeEventListener('hashchange', callback)
+  const listener = (event) => {
+    if (!ownHashChanges.has(event)) {
+      callback(event)
+    }
+  }
+
+  globalThis.window.addEventListener('hashchange', listener)
+  return () => globalThis.window.removeEventListener('hashchange', listener)
+}
+
+/**
+ * Add a listener for the pagehide event (navigating away, closing the tab).
+ *
+ * @param {Function} callback
+ * @returns {Function} Cleanup function
+ */
+export function onPageHide(callback) {
+  if (!isBrowser()) return () => {}
+
+  globalThis.window.addEventListener('pagehide', callback)
+  return () => globalThis.window.removeEventListener('pagehide', callback)
 }
@@ -0,0 +1,103 @@
+/**
+ * Helpers for the params a hook manages within a search string.
+ */
+
+import { readPairs, keyPath } from '../encode.js'
+
+/**
+ * Nest an object under a namespace key.
+ *
+ * @param {Object} [obj]
+ * @param {string} [namespace]
+ * @returns {Object}
+ */
+export function scope(obj, namespace) {
+  if (!namespace || !obj) return obj
+  return { [namespace]: obj }
+}
+
+/**
+ * Read the part of parsed params that belongs to a namespace.
+ *
+ * @param {Object} params - Parsed URL params
+ * @param {string} [namespace]
+ * @returns {Object}
+ */
+export function unscope(params, namespace) {
+  if (!namespace) return params
+  return isPlainObject(params[namespace]) ? params[namespace] : {}
+}
+
+/**
+ * Check whether a query param belongs to this hook.
+ *
+ * @param {string} key - Decoded param key (e.g. 'user.name' or 'orders.page')
+ * @param {string[]|Function} managedKeys - Managed state keys, or a function telling whether a state key is managed
+ * @param {string} [namespace]
+ * @param {string} [format]
+ * @returns {boolean}
+ */
+export function isManagedParam(key, managedKeys, namespace, format) {
+  const path = keyPath(key, format)
+  const isManagedKey = typeof managedKeys === 'function' ? managedKeys : (stateKey) => managedKeys.includes(stateKey)
+
+  if (namespace) {
+    return path[0] === namespace && path.length > 1 && isManagedKey(path[1])
+  }
+
+  return isManagedKey(path[0])
+}
+
+/**
+ * Swap the managed params of a search string for new ones. Every other param
+ * is kept byte-for-byte and in place; the managed params go where the first
+ * managed param was, or at the end.
+ *
+ * @param {string} currentSearch - Current search string (without leading '?')
+ * @param {string} managedSearch - Serialized managed params
+ * @param {Function} isManaged - Tells whether a decoded param key is managed
+ * @returns {string} New search string
+ */
+export function replaceManagedParams(currentSearch, managedSearch, isManaged) {
+  const pieces = currentSearch.split('&').filter(Boolean)
+  const pairs = readPairs(currentSearch)
+  const result = []
+  let inserted = false
+
+  pieces.forEach((piece, i) => {
+    if (!isManaged(pairs[i].key)) {
+      result.push(piece)
+    } else if (!inserted) {
+      result.push(managedSearch)
+      inserted = true
+    }
+  })
+
+  if (!inserted) {
+    result.push(managedSearch)
+  }
+
+  return result.filter(Boolean).join('&')
+}
+
+/**
+ * Keep only the managed params of a search string, as written.
+ *
+ * @param {string} search - Search string (without leading '?')
+ * @param {Function} isManaged - Tells whether a decoded param key is managed
+ * @returns {string}
+ */
+export function pickManagedParams(search, isManaged) {
+  const pieces = search.split('&').filter(Boolean)
+  const pairs = readPairs(search)
+
+  return pieces.filter((piece, i) => isManaged(pairs[i].key)).join('&')
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isPlainObject(value) {
+  return value != null && typeof value === 'object' && value.constructor === Object
+}
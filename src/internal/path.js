@@ -0,0 +1,113 @@
+/**
+ * Path patterns map named path segments to state keys: '/catalog/:category/:sort'
+ * matches '/catalog/shoes/price' as { category: 'shoes', sort: 'price' }.
+ * A trailing '?' marks an optional param (':sort?'), left out when empty.
+ */
+
+import { isType } from '../schema.js'
+
+/**
+ * Names of the params in a path pattern.
+ *
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+export function patternKeys(pattern) {
+  return splitSegments(pattern)
+    .map(parseSegment)
+    .filter(segment => segment.name)
+    .map(segment => segment.name)
+}
+
+/**
+ * Match a path against a pattern.
+ *
+ * @param {string} pattern
+ * @param {string} pathname
+ * @returns {Object|null} Decoded param values by name, or null if the path doesn't match
+ */
+export function matchPath(pattern, pathname) {
+  const segments = splitSegments(pattern).map(parseSegment)
+  const parts = splitSegments(pathname)
+  if (parts.length > segments.length) return null
+
+  const values = {}
+  const matches = segments.every((segment, i) => {
+    const part = parts[i]
+
+    if (part === undefined) return Boolean(segment.optional)
+    if (!segment.name) return part === segment.text
+
+    values[segment.name] = decodeSegment(part)
+    return true
+  })
+
+  return matches ? values : null
+}
+
+/**
+ * Build a path from a pattern and state values. Values are encoded with
+ * their schema type when there is one.
+ *
+ * @param {string} pattern
+ * @param {Object} values - Values by param name
+ * @param {Object} [schema] - Types by param name
+ * @returns {string|null} The path, or null when a required param is empty
+ *   (an empty segment wouldn't match the pattern again)
+ */
+export function buildPath(pattern, values, schema) {
+  const parts = []
+
+  const complete = splitSegments(pattern).map(parseSegment).every(segment => {
+    if (!segment.name) {
+      parts.push(segment.text)
+      return true
+    }
+
+    const value = values[segment.name]
+    const type = schema && isType(schema[segment.name]) ? schema[segment.name] : null
+    const text = value === undefined || value === null ? '' : type ? type.encode(value) : String(value)
+
+    if (text !== '') {
+      parts.push(encodeURIComponent(text))
+    }
+    return text !== '' || Boolean(segment.optional)
+  })
+
+  return complete ? `/${parts.join('/')}` : null
+}
+
+/**
+ * Split a path into its non-empty segments.
+ *
+ * @param {string} path
+ * @returns {string[]}
+ */
+function splitSegments(path) {
+  return path.split('/').filter(Boolean)
+}
+
+/**
+ * @param {string} text - A pattern segment, e.g. 'catalog', ':sort' or ':sort?'
+ * @returns {{ text: string, name?: string, optional?: boolean }}
+ */
+function parseSegment(text) {
+  if (!text.startsWith(':')) return { text }
+
+  const optional = text.endsWith('?')
+  return { text, name: text.slice(1, optional ? -1 : undefined), optional }
+}
+
+/**
+ * Decode a path segment, keeping it as is when it isn't valid percent-encoding.
+ *
+ * @param {string} part
+ * @returns {string}
+ */
+function decodeSegment(part) {
+  try {
+    return decodeURIComponent(part)
+  } catch (err) {
+    return part
+  }
+}
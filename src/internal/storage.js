@@ -0,0 +1,59 @@
+/**
+ * SSR-safe access to Web Storage. Storage can be missing or throw (disabled
+ * cookies, private mode, full quota); reads then return null and writes are
+ * dropped.
+ */
+
+import { isBrowser } from './history.js'
+
+/**
+ * Get localStorage or sessionStorage.
+ *
+ * @param {'local' | 'session'} type
+ * @returns {Storage|null}
+ */
+function getStorage(type) {
+  if (!isBrowser()) return null
+
+  try {
+    return type === 'session' ? globalThis.window.sessionStorage : globalThis.window.localStorage
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Read a stored string.
+ *
+ * @param {'local' | 'session'} type
+ * @param {string} key
+ * @returns {string|null}
+ */
+export function readStorage(type, key) {
+  const storage = getStorage(type)
+  if (!storage) return null
+
+  try {
+    return storage.getItem(key)
+  } catch (err) {
+    return null
+  }
+}
+
+/**
+ * Store a string.
+ *
+ * @param {'local' | 'session'} type
+ * @param {string} key
+ * @param {string} value
+ */
+export function writeStorage(type, key, value) {
+  const storage = getStorage(type)
+  if (!storage) return
+
+  try {
+    storage.setItem(key, value)
+  } catch (err) {
+    // Quota exceeded or storage disabled: the URL still holds the state
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * External stores read with useSyncExternalStore.
+ *
+ * A state store holds one hook's state outside React: a change is applied
+ * once, when it is made, and every render of a pass sees the same snapshot.
+ * A location store follows an adapter's search string through back/forward
+ * navigation and the writes of every hook.
+ */
+
+import { onWrite } from './batch.js'
+
+/**
+ * Create a store for one hook's state.
+ *
+ * @param {Object} initialState
+ * @returns {{ getState: Function, setState: Function, subscribe: Function }}
+ */
+export function createStateStore(initialState) {
+  let state = initialState
+  const listeners = new Set()
+
+  return {
+    getState: () => state,
+    setState: (next) => {
+      state = next
+      listeners.forEach(listener => listener())
+    },
+    subscribe: (listener) => {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    }
+  }
+}
+
+// Location stores are shared per adapter so their subscribe function stays the same
+const locationStores = new WeakMap()
+
+/**
+ * Get the location store for an adapter.
+ *
+ * @param {Object} adapter
+ * @returns {{ getSearch: Function, subscribe: Function }}
+ */
+export function getLocationStore(adapter) {
+  if (!locationStores.has(adapter)) {
+    locationStores.set(adapter, {
+      getSearch: () => adapter.read(),
+      subscribe: (listener) => {
+        const cleanupNavigation = adapter.subscribe(listener)
+        const cleanupWrite = onWrite(adapter, listener)
+
+        return () => {
+          cleanupNavigation()
+          cleanupWrite()
+        }
+      }
+    })
+  }
+
+  return locationStores.get(adapter)
+}
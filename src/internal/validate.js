@@ -0,0 +1,59 @@
+/**
+ * Per-key validation of values read from the URL.
+ */
+
+/**
+ * Check a single value against a validation rule.
+ *
+ * A rule can be:
+ * - a predicate: `(value) => boolean`
+ * - a list of allowed values: `['asc', 'desc']`
+ * - a range: `{ min: 1, max: 100 }` (either bound is optional)
+ *
+ * @param {*} value
+ * @param {Function|Array|Object} rule
+ * @returns {boolean}
+ */
+export function isValid(value, rule) {
+  if (typeof rule === 'function') {
+    return Boolean(rule(value))
+  }
+
+  if (Array.isArray(rule)) {
+    return rule.includes(value)
+  }
+
+  if (rule && typeof rule === 'object') {
+    if (typeof value !== 'number' || isNaN(value)) return false
+    if (rule.min !== undefined && value < rule.min) return false
+    if (rule.max !== undefined && value > rule.max) return false
+    return true
+  }
+
+  return true
+}
+
+/**
+ * Split parsed URL values into valid ones and the keys that failed validation.
+ *
+ * @param {Object} values - Values read from the URL
+ * @param {Object} rules - Per-key validation rules
+ * @returns {{ valid: Object, invalid: string[] }}
+ */
+export function validateValues(values, rules) {
+  if (!rules || Object.keys(rules).length === 0) {
+    return { valid: values, invalid: [] }
+  }
+
+  const valid = { ...values }
+  const invalid = []
+
+  Object.keys(rules).forEach(key => {
+    if (key in valid && !isValid(valid[key], rules[key])) {
+      invalid.push(key)
+      delete valid[key]
+    }
+  })
+
+  return { valid, invalid }
+}
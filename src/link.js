@@ -0,0 +1,39 @@
+import { createElement } from 'react'
+
+/**
+ * Anchor for a state patch. The href is the URL the hook would write, so the
+ * link can be opened in a new tab or copied; a plain left click applies the
+ * patch in-app instead of loading the page.
+ *
+ * @param {Object} props
+ * @param {Object} props.api - The api returned by useUrlState
+ * @param {Object} props.patch - State patch the link applies
+ * @param {'push' | 'replace'} [props.history] - History mode for the in-app update
+ * @param {Function} [props.onClick] - Click handler; call event.preventDefault() to skip the update
+ * @param {*} [props.children]
+ */
+export function UrlStateLink({ api, patch, history, onClick, ...props }) {
+  const handleClick = (event) => {
+    if (onClick) {
+      onClick(event)
+    }
+
+    // Let the browser handle new tabs, downloads and other targets
+    if (event.defaultPrevented || !isPlainClick(event) || (props.target && props.target !== '_self')) return
+
+    event.preventDefault()
+    api.replace(patch, { history })
+  }
+
+  return createElement('a', { ...props, href: api.buildHref(patch), onClick: handleClick })
+}
+
+/**
+ * Check for an unmodified left click.
+ *
+ * @param {MouseEvent} event
+ * @returns {boolean}
+ */
+function isPlainClick(event) {
+  return event.button === 0 && !event.metaKey && !event.altKey && !event.ctrlKey && !event.shiftKey
+}
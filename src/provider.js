@@ -0,0 +1,52 @@
+import { createContext, createElement } from 'react'
+
+/**
+ * Context holding the request location for server rendering.
+ * `null` when no UrlStateProvider is mounted.
+ */
+export const UrlStateContext = createContext(null)
+
+/**
+ * Provides the request URL to useUrlState during server rendering, so server
+ * HTML reflects the query string and hydrates to the same state.
+ * In the browser the hook always reads window.location and ignores this.
+ *
+ * @param {Object} props
+ * @param {string} [props.search] - Request search string, with or without leading '?'
+ * @param {string|URL} [props.url] - Request URL (absolute, or a path with query string);
+ *   its path is read by pathPattern
+ * @param {*} props.children
+ */
+export function UrlStateProvider({ search, url, children }) {
+  const value = { search: toSearch(search, url), pathname: toPathname(url) }
+  return createElement(UrlStateContext.Provider, { value }, children)
+}
+
+/**
+ * Normalize the provider props into a search string without leading '?'.
+ *
+ * @param {string} [search]
+ * @param {string|URL} [url]
+ * @returns {string}
+ */
+function toSearch(search, url) {
+  if (search !== undefined && search !== null) {
+    return search.startsWith('?') ? search.slice(1) : search
+  }
+
+  if (url) {
+    return new URL(String(url), 'http://localhost').search.slice(1)
+  }
+
+  return ''
+}
+
+/**
+ * Path of the request URL, '/' when there is none.
+ *
+ * @param {string|URL} [url]
+ * @returns {string}
+ */
+function toPathname(url) {
+  return url ? new URL(String(url), 'http://localhost').pathname : '/'
+}
@@ -0,0 +1,270 @@
+/**
+ * Typed parameter parsers for schema-based URL state.
+ *
+ * A type is an object with `decode(raw)` and `encode(value)`. `decode`
+ * receives the raw string (or an array of strings for repeated keys) and
+ * returns `undefined` when the value can't be parsed, so the key falls back
+ * to its initial value. Nested objects are described with a plain object
+ * of types instead of a single type.
+ *
+ * Date, BigInt, Set and Map values have a type picked for them when none is
+ * given (see detectType).
+ */
+
+/**
+ * Create a custom parameter type.
+ *
+ * @param {Function} decode - Converts the raw URL value into a state value
+ * @param {Function} encode - Converts a state value into a URL string
+ * @returns {{ decode: Function, encode: Function }}
+ */
+export function createType(decode, encode) {
+  return { decode, encode }
+}
+
+/**
+ * Use the last value when a scalar key is repeated in the URL.
+ *
+ * @param {string|string[]} raw
+ * @returns {string|undefined}
+ */
+function single(raw) {
+  const value = Array.isArray(raw) ? raw[raw.length - 1] : raw
+  return typeof value === 'string' ? value : undefined
+}
+
+/**
+ * Zero-pad a number to two digits.
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function pad(n) {
+  return String(n).padStart(2, '0')
+}
+
+export const types = {
+  string: createType(
+    raw => single(raw),
+    value => String(value)
+  ),
+
+  int: createType(
+    raw => {
+      const value = single(raw)
+      return value !== undefined && /^-?\d+$/.test(value) ? Number(value) : undefined
+    },
+    value => String(Math.trunc(value))
+  ),
+
+  float: createType(
+    raw => {
+      const value = single(raw)
+      if (value === undefined || value.trim() === '') return undefined
+      const num = Number(value)
+      return Number.isFinite(num) ? num : undefined
+    },
+    value => String(value)
+  ),
+
+  boolean: createType(
+    raw => {
+      const value = single(raw)
+      if (value === 'true' || value === '1') return true
+      if (value === 'false' || value === '0') return false
+      return undefined
+    },
+    value => (value ? 'true' : 'false')
+  ),
+
+  /**
+   * Date without a time component, written as YYYY-MM-DD (UTC).
+   * Full ISO timestamps are accepted when reading.
+   */
+  date: createType(
+    raw => {
+      const value = single(raw)
+      if (!value) return undefined
+      const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value)
+      return isNaN(date.getTime()) ? undefined : date
+    },
+    value => {
+      const date = value instanceof Date ? value : new Date(value)
+      return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`
+    }
+  ),
+
+  /**
+   * Date and time, written as a full ISO timestamp (UTC).
+   */
+  datetime: createType(
+    raw => {
+      const value = single(raw)
+      if (!value) return undefined
+      const date = new Date(value)
+      return isNaN(date.getTime()) ? undefined : date
+    },
+    value => (value instanceof Date ? value : new Date(value)).toISOString()
+  ),
+
+  /**
+   * Integer of any size, written as digits.
+   */
+  bigint: createType(
+    raw => {
+      const value = single(raw)
+      return value !== undefined && /^-?\d+$/.test(value) ? BigInt(value) : undefined
+    },
+    value => String(value)
+  ),
+
+  /**
+   * One of a fixed list of string values.
+   *
+   * @param {string[]} values - Allowed values
+   */
+  enum: values => createType(
+    raw => {
+      const value = single(raw)
+      return values.includes(value) ? value : undefined
+    },
+    value => String(value)
+  ),
+
+  /**
+   * Repeated key decoded item by item. Items that fail to decode are dropped.
+   *
+   * @param {{ decode: Function, encode: Function }} [itemType=types.string]
+   */
+  array: (itemType = types.string) => createType(
+    raw => {
+      const items = Array.isArray(raw) ? raw : [raw]
+      return items
+        .map(item => itemType.decode(item))
+        .filter(item => item !== undefined)
+    },
+    value => value.map(item => itemType.encode(item))
+  ),
+
+  /**
+   * Set written like an array, one repeated key per item.
+   *
+   * @param {{ decode: Function, encode: Function }} [itemType=types.string]
+   */
+  set: (itemType = types.string) => createType(
+    raw => new Set(types.array(itemType).decode(raw)),
+    value => [...value].map(item => itemType.encode(item))
+  ),
+
+  /**
+   * Map written as repeated `key:value` pairs. ':' and '%' in keys are
+   * escaped as %3A and %25, so pairs split at the first ':'. Pairs that fail
+   * to decode are dropped.
+   *
+   * @param {{ decode: Function, encode: Function }} [keyType=types.string]
+   * @param {{ decode: Function, encode: Function }} [valueType=types.string]
+   */
+  map: (keyType = types.string, valueType = types.string) => createType(
+    raw => {
+      const pairs = (Array.isArray(raw) ? raw : [raw])
+        .filter(pair => typeof pair === 'string' && pair.includes(':'))
+        .map(pair => {
+          const sepIndex = pair.indexOf(':')
+          return [keyType.decode(unescapeKey(pair.slice(0, sepIndex))), valueType.decode(pair.slice(sepIndex + 1))]
+        })
+        .filter(([key, value]) => key !== undefined && value !== undefined)
+      return new Map(pairs)
+    },
+    value => [...value].map(([key, item]) => `${escapeKey(keyType.encode(key))}:${valueType.encode(item)}`)
+  )
+}
+
+/**
+ * Pick a type for a value that can't be written as a plain string: Date as
+ * datetime, BigInt as digits, Set and Map with item types taken from their
+ * first entry (strings when empty).
+ *
+ * @param {*} value
+ * @returns {{ decode: Function, encode: Function }|undefined} The type, or undefined for other values
+ */
+export function detectType(value) {
+  if (value instanceof Date) return types.datetime
+  if (typeof value === 'bigint') return types.bigint
+
+  if (value instanceof Set) {
+    return types.set(itemTypeOf(value.values().next().value))
+  }
+
+  if (value instanceof Map) {
+    const [key, item] = value.entries().next().value || []
+    return types.map(itemTypeOf(key), itemTypeOf(item))
+  }
+
+  return undefined
+}
+
+/**
+ * Schema of detected types for a state object, nested objects included.
+ *
+ * @param {Object} values - e.g. the initial state
+ * @returns {Object} Types by key; keys without a detected type are left out
+ */
+export function detectSchema(values) {
+  const schema = {}
+
+  Object.keys(values).forEach(key => {
+    const value = values[key]
+    const type = detectType(value)
+
+    if (type) {
+      schema[key] = type
+    } else if (value !== null && typeof value === 'object' && value.constructor === Object) {
+      const nested = detectSchema(value)
+      if (Object.keys(nested).length > 0) {
+        schema[key] = nested
+      }
+    }
+  })
+
+  return schema
+}
+
+/**
+ * Escape the pair separator in an encoded map key.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function escapeKey(key) {
+  return key.replace(/%/g, '%25').replace(/:/g, '%3A')
+}
+
+/**
+ * @param {string} key - Key escaped by escapeKey
+ * @returns {string}
+ */
+function unescapeKey(key) {
+  return key.replace(/%(25|3A)/gi, (match, code) => (code === '25' ? '%' : ':'))
+}
+
+/**
+ * Type for the items of a detected Set or Map.
+ *
+ * @param {*} item
+ * @returns {{ decode: Function, encode: Function }}
+ */
+function itemTypeOf(item) {
+  if (typeof item === 'number') return types.float
+  if (typeof item === 'boolean') return types.boolean
+  return detectType(item) || types.string
+}
+
+/**
+ * Check whether a schema entry is a type (as opposed to a nested schema).
+ *
+ * @param {*} entry
+ * @returns {boolean}
+ */
+export function isType(entry) {
+  return entry != null && typeof entry.decode === 'function' && typeof entry.encode === 'function'
+}
@@ -0,0 +1,76 @@
+import { useCallback, useContext, useMemo, useSyncExternalStore } from 'react'
+import { encode, parse } from './encode.js'
+import { detectType } from './schema.js'
+import { queueWrite } from './internal/batch.js'
+import { getLocationStore } from './internal/store.js'
+import { scope, unscope, isManagedParam, replaceManagedParams, pickManagedParams } from './internal/params.js'
+import { getDefaultAdapter } from './adapters.js'
+import { UrlStateContext } from './provider.js'
+
+/**
+ * React hook that reads and writes a single URL key. The component only
+ * re-renders when that key's params change, whoever changed the URL.
+ *
+ * @param {string} key - Key to select (e.g. 'page')
+ * @param {Object} [options] - Configuration options
+ * @param {*} [options.defaultValue] - Value when the key is not in the URL
+ * @param {Object} [options.type] - Type that decodes and encodes the value (see types); detected
+ *   from defaultValue for Date, BigInt, Set and Map
+ * @param {'push' | 'replace'} [options.history='replace'] - History API mode
+ * @param {'browser' | 'hash'} [options.routing='browser'] - Routing mode
+ * @param {'dot' | 'bracket' | 'indexed' | 'comma'} [options.format='dot'] - Key and array format in the query string
+ * @param {string} [options.namespace] - Prefix the key is stored under
+ * @param {string} [options.basePath] - Base path for browser routing
+ * @param {Object} [options.adapter] - Location adapter; overrides routing and basePath
+ * @returns {[*, Function]} [value, setValue]
+ */
+export function useUrlStateKey(key, options = {}) {
+  const {
+    defaultValue,
+    type: typeOption,
+    history: historyMode = 'replace',
+    routing = 'browser',
+    format = 'dot',
+    namespace,
+    basePath = '',
+    adapter: adapterOption
+  } = options
+
+  const adapter = adapterOption || getDefaultAdapter(routing, basePath)
+  const location = getLocationStore(adapter)
+
+  // Request URL provided by UrlStateProvider during server render
+  const serverLocation = useContext(UrlStateContext)
+
+  const isManaged = (param) => isManagedParam(param, [key], namespace, format)
+  const type = typeOption || detectType(defaultValue)
+  const schema = type ? scope({ [key]: type }, namespace) : undefined
+
+  // The snapshot is just this key's params, so changes to other keys keep it equal
+  const raw = useSyncExternalStore(
+    location.subscribe,
+    () => pickManagedParams(location.getSearch(), isManaged),
+    () => (serverLocation ? pickManagedParams(serverLocation.search, isManaged) : '')
+  )
+
+  const value = useMemo(() => {
+    const params = unscope(parse(raw, { schema, format }), namespace)
+    return key in params ? params[key] : defaultValue
+  }, [raw, key, typeOption, namespace, format, defaultValue])
+
+  // Writes go through the batch queue, so they combine with useUrlState writes
+  const setValue = useCallback((valueOrFn, { history } = {}) => {
+    const apply = (currentSearch) => {
+      const current = unscope(parse(pickManagedParams(currentSearch, isManaged), { schema, format }), namespace)
+      const prev = key in current ? current[key] : defaultValue
+      const next = typeof valueOrFn === 'function' ? valueOrFn(prev) : valueOrFn
+      const managedSearch = next === undefined ? '' : encode(scope({ [key]: next }, namespace), { schema, format })
+
+      return replaceManagedParams(currentSearch, managedSearch, isManaged)
+    }
+
+    queueWrite({ adapter, apply, history: history || historyMode })
+  }, [adapter, key, typeOption, namespace, format, defaultValue, historyMode])
+
+  return [value, setValue]
+}
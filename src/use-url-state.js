@@ -1,6 +1,16 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
-import { encode, parse } from './encode.js'
-import { isBrowser, getSearch, setSearch, onPopState, onHashChange } from './internal/history.js'
+import { useState, useEffect, useRef, useCallback, useContext, useMemo, useSyncExternalStore } from 'react'
+import { encode, parse, readPairs, keyPath } from './encode.js'
+import { detectSchema } from './schema.js'
+import { isBrowser, onPageHide } from './internal/history.js'
+import { validateValues } from './internal/validate.js'
+import { encodeCompact, decodeCompact, isCompact } from './codec.js'
+import { readStorage, writeStorage } from './internal/storage.js'
+import { queueWrite, onWrite } from './internal/batch.js'
+import { createStateStore } from './internal/store.js'
+import { patternKeys, matchPath, buildPath } from './internal/path.js'
+import { scope, unscope, isManagedParam, replaceManagedParams, pickManagedParams, isPlainObject } from './internal/params.js'
+import { getDefaultAdapter } from './adapters.js'
+import { UrlStateContext } from './provider.js'
 
 /**
  * React hook that syncs state with URL query parameters.
@@ -8,67 +18,184 @@ import { isBrowser, getSearch, setSearch, onPopState, onHashChange } from './int
  * @param {Object} initialState - Initial state object
  * @param {Object} [options] - Configuration options
  * @param {'push' | 'replace'} [options.history='replace'] - History API mode
+ * @param {Object} [options.keyHistory] - Per-key history mode (e.g. { page: 'push' }); push wins when modes mix
  * @param {'browser' | 'hash'} [options.routing='browser'] - Routing mode
- * @param {number} [options.debounceMs=0] - Debounce delay for URL updates
+ * @param {number|Object} [options.debounceMs=0] - Debounce delay for URL updates, or per-key delays (e.g. { q: 300 })
+ * @param {number|Object} [options.throttleMs=0] - Minimum interval between URL updates, or per-key intervals
  * @param {boolean} [options.stripDefaults=false] - Omit keys equal to initialState
  * @param {'url-wins' | 'state-wins'} [options.syncOnInit='url-wins'] - Initial sync strategy
  * @param {Function} [options.serialize] - Custom serializer
  * @param {Function} [options.parse] - Custom parser
  * @param {Object} [options.transform] - Per-key transform functions
+ * @param {Object} [options.schema] - Per-key types that decode and encode values; Date, BigInt, Set
+ *   and Map values in initialState get a detected type unless given one here
+ * @param {Object} [options.validate] - Per-key validation rules (predicate, allowed values or { min, max })
+ * @param {Function} [options.onInvalid] - Called with (key, value) for each URL value that fails validation
+ * @param {'dot' | 'bracket' | 'indexed' | 'comma'} [options.format='dot'] - Key and array format in the query string
+ * @param {string} [options.namespace] - Prefix for this hook's keys (e.g. 'orders' gives orders.page=2)
+ * @param {Array<string|RegExp>} [options.keys] - More keys to manage besides the initialState keys: exact keys,
+ *   prefixes ending in '*' (e.g. 'facet*') or RegExps, matched against top-level state keys
+ * @param {string[]} [options.hiddenKeys] - Keys kept in history.state instead of the query string
+ * @param {number} [options.maxUrlLength] - Longest URL (path, query and hash) a write may produce
+ * @param {'warn' | 'refuse' | 'compress' | 'history'} [options.overflow='warn'] - What to do when a write exceeds maxUrlLength
+ * @param {Function} [options.onOverflow] - Called with { length, maxLength, strategy, keys } when a write exceeds maxUrlLength
+ * @param {Function|Function[]} [options.beforeChange] - Called with (next, prev, { source }) before a change commits;
+ *   return a new state to use instead, or false to cancel. An array runs in order, each seeing the previous result
+ * @param {Function} [options.onChange] - Called with (next, prev, { source, changedKeys, search }) after state changes;
+ *   source is 'init', 'set', 'replace', 'reset', 'clear', 'popstate' or 'sync'
+ * @param {boolean} [options.debug=false] - Log each parse, serialize and write step to the console
+ * @param {Object} [options.persist] - Mirror managed params into Web Storage and restore them when the URL has none
+ * @param {'local' | 'session'} options.persist.storage - localStorage or sessionStorage
+ * @param {string} [options.persist.key='url-state'] - Storage key
+ * @param {string} [options.pathPattern] - Path params to sync with state keys (e.g. '/catalog/:category/:sort');
+ *   other keys stay in the query string
  * @param {string} [options.basePath] - Base path for browser routing
+ * @param {Object} [options.adapter] - Location adapter; overrides routing and basePath
  * @returns {[Object, Function, Object]} [state, setState, api]
  */
 export function useUrlState(initialState = {}, options = {}) {
   const {
     history: historyMode = 'replace',
+    keyHistory = {},
     routing = 'browser',
     debounceMs = 0,
+    throttleMs = 0,
     stripDefaults = false,
     syncOnInit = 'url-wins',
     serialize = encode,
     parse: parseUrl = parse,
     transform = {},
-    basePath = ''
+    schema: schemaOption,
+    validate,
+    onInvalid,
+    namespace,
+    format = 'dot',
+    keys: keysOption,
+    hiddenKeys = [],
+    beforeChange,
+    onChange,
+    debug = false,
+    persist,
+    maxUrlLength,
+    overflow = 'warn',
+    onOverflow,
+    pathPattern,
+    basePath = '',
+    adapter: adapterOption
   } = options
 
-  // SSR safety: if not in browser, return noop
-  if (!isBrowser()) {
-    const noop = () => {}
-    const api = {
-      replace: noop,
-      reset: noop,
-      clear: noop,
-      setKey: noop,
-      getSearch: () => ''
+  const adapter = adapterOption || getDefaultAdapter(routing, basePath)
+  const { storage: persistStorage, key: persistKey = 'url-state' } = persist || {}
+
+  // Request URL provided by UrlStateProvider during server render
+  const serverLocation = useContext(UrlStateContext)
+
+  // Managed keys: the initialState keys plus keys registered at runtime, and any key matching the keys option
+  const initialStateRef = useRef(initialState)
+  const managedKeysRef = useRef(Object.keys(initialState))
+  const keyMatchers = [].concat(keysOption || [])
+  const pathKeys = pathPattern ? patternKeys(pathPattern) : []
+
+  // Types detected from initialState fill in keys the schema leaves out
+  const schema = useMemo(() => {
+    const detected = detectSchema(initialStateRef.current)
+    return Object.keys(detected).length > 0 ? { ...detected, ...schemaOption } : schemaOption
+  }, [schemaOption])
+
+  const isManagedKey = (key) => (
+    managedKeysRef.current.includes(key) ||
+    pathKeys.includes(key) ||
+    keyMatchers.some(matcher => matchesKey(matcher, key))
+  )
+
+  // Managed keys of a state: the registered keys and every matching key it has
+  const managedKeysOf = (target) => [...new Set([...managedKeysRef.current, ...Object.keys(target).filter(isManagedKey)])]
+
+  // Whether a query param belongs to this hook
+  const isManaged = (param) => isManagedParam(param, isManagedKey, namespace, format)
+
+  // Log a step of the sync when debug is on
+  const log = (step, details) => {
+    if (debug) {
+      console.log(`useUrlState: ${step}`, details)
     }
-    return [initialState, noop, api]
   }
 
-  // Parse initial URL and merge with initialState
-  const getInitialState = () => {
-    const urlParams = parseUrl(getSearch(routing))
+  // Parse the URL, apply transforms, restore hidden keys and drop values that fail validation;
+  // invalid keys (rejected by their schema type or a validate rule) are reported with their raw value
+  const readUrl = (
+    search = adapter.read(),
+    hiddenState = adapter.hidden ? adapter.hidden() : {},
+    pathname = adapter.readPath ? adapter.readPath() : '/'
+  ) => {
+    // Keys compressed to fit maxUrlLength are expanded back into their params first
+    const expanded = overflow === 'compress' ? expandCompactParams(search, isManagedKey, namespace, format) : search
+    const urlParams = unscope(parseUrl(expanded, { schema: scope(schema, namespace), format }), namespace)
+    const raw = rawParams(expanded, namespace, format)
+
+    // Path params replace query params of the same name; they go through the parser for types
+    if (pathPattern) {
+      pathKeys.forEach(key => {
+        delete urlParams[key]
+        delete raw[key]
+      })
+      const pathParams = matchPath(pathPattern, pathname)
+      if (pathParams) {
+        Object.assign(urlParams, parseUrl(encode(pathParams), { schema }))
+        Object.assign(raw, pathParams)
+      }
+    }
     const transformed = applyTransforms(urlParams, transform, 'in')
+    const stored = hiddenState[namespace || ''] || {}
 
-    if (syncOnInit === 'state-wins') {
-      return { ...transformed, ...initialState }
-    }
+    // Hidden keys only come from history.state; keys moved there on overflow fill in missing params
+    hiddenKeys.forEach(key => {
+      delete transformed[key]
+    })
+    Object.keys(stored).forEach(key => {
+      if (stored[key] !== undefined && isManagedKey(key) && (hiddenKeys.includes(key) || !(key in transformed))) {
+        transformed[key] = stored[key]
+      }
+    })
 
-    // url-wins: merge initialState with URL params (URL takes precedence)
-    return { ...initialState, ...transformed }
+    // Keys in the URL that their schema type couldn't decode
+    const rejected = Object.keys(raw).filter(key => (
+      schema && schema[key] && isManagedKey(key) && !hiddenKeys.includes(key) && !(key in transformed)
+    ))
+
+    const { valid, invalid } = validateValues(transformed, validate)
+    const invalidKeys = [...rejected, ...invalid]
+    log('parse', { search, values: valid, invalid: invalidKeys })
+    return { values: valid, invalid: invalidKeys.map(key => [key, key in raw ? raw[key] : stored[key]]) }
   }
 
-  const [state, setState] = useState(getInitialState)
-  const debounceTimerRef = useRef(null)
-  const initialStateRef = useRef(initialState)
-  const managedKeysRef = useRef(Object.keys(initialState))
+  // Query string for the managed keys of a state, as api.getSearch and onChange report it
+  const serializeState = (target) => {
+    const managed = {}
+    managedKeysOf(target).forEach(key => {
+      if (key in target && !hiddenKeys.includes(key) && !pathKeys.includes(key)) {
+        managed[key] = target[key]
+      }
+    })
+    const transformed = applyTransforms(managed, transform, 'out')
+    return serialize(scope(transformed, namespace), { schema: scope(schema, namespace), format })
+  }
 
-  // Update URL based on current state
-  const updateUrl = useCallback((newState) => {
-    // Extract only managed keys
+  // Split a state into the values to serialize (defaults stripped, transforms applied) and the hidden ones;
+  // hidden values of other managed keys are set to undefined so they are removed from history.state
+  const prepareWrite = (target, managedKeys, defaults) => {
     const managed = {}
-    managedKeysRef.current.forEach(key => {
-      if (key in newState) {
-        managed[key] = newState[key]
+    const hidden = {}
+    managedKeys.forEach(key => {
+      if (pathKeys.includes(key)) return
+
+      if (hiddenKeys.includes(key)) {
+        hidden[key] = target[key]
+      } else {
+        hidden[key] = undefined
+        if (key in target) {
+          managed[key] = target[key]
+        }
       }
     })
 
@@ -77,140 +204,574 @@ export function useUrlState(initialState = {}, options = {}) {
     if (stripDefaults) {
       toEncode = {}
       Object.keys(managed).forEach(key => {
-        if (!deepEqual(managed[key], initialStateRef.current[key])) {
+        if (!deepEqual(managed[key], defaults[key])) {
           toEncode[key] = managed[key]
         }
       })
     }
 
-    // Apply outbound transforms
-    const transformed = applyTransforms(toEncode, transform, 'out')
-
-    // Serialize managed keys
-    const managedSearch = serialize(transformed)
+    return { hidden, toEncode, transformed: applyTransforms(toEncode, transform, 'out') }
+  }
 
-    // Preserve unmanaged query params
-    const currentSearch = getSearch(routing)
-    const currentParams = parseUrl(currentSearch)
-    const unmanaged = {}
+  // Path for a state when pathPattern is set; path params are always written, defaults included.
+  // Undefined leaves the path as it is (no pattern, or an empty required param)
+  const pathFor = (target) => {
+    if (!pathPattern) return undefined
 
-    Object.keys(currentParams).forEach(key => {
-      if (!managedKeysRef.current.includes(key) && !key.split('.')[0].match(new RegExp(`^(${managedKeysRef.current.join('|')})$`))) {
-        unmanaged[key] = currentParams[key]
-      }
+    const values = {}
+    pathKeys.forEach(key => {
+      values[key] = target[key]
     })
+    const path = buildPath(pathPattern, applyTransforms(values, transform, 'out'), schema)
+    return path === null ? undefined : path
+  }
 
-    const unmanagedSearch = serialize(unmanaged)
+  // Full URL for a state, with its managed params swapped into the given search string
+  const hrefFor = (target, currentSearch) => {
+    const { transformed } = prepareWrite(target, managedKeysOf(target), initialStateRef.current)
+    const managedSearch = serialize(scope(transformed, namespace), { schema: scope(schema, namespace), format })
+    const search = replaceManagedParams(currentSearch, managedSearch, isManaged)
+    return adapter.href ? adapter.href(search, pathFor(target)) : `?${search}`
+  }
 
-    // Combine managed and unmanaged
-    const combinedSearch = [managedSearch, unmanagedSearch]
-      .filter(Boolean)
-      .join('&')
+  // Merge URL values with initialState according to syncOnInit
+  const mergeInitial = (values) => {
+    if (syncOnInit === 'state-wins') {
+      return { ...values, ...initialState }
+    }
 
-    setSearch(combinedSearch, historyMode, routing, basePath)
-  }, [historyMode, routing, stripDefaults, serialize, parseUrl, transform, basePath])
+    // url-wins: merge initialState with URL params (URL takes precedence)
+    return { ...initialState, ...values }
+  }
 
-  // Debounced URL update
-  const scheduleUrlUpdate = useCallback((newState) => {
-    if (debounceTimerRef.current) {
-      clearTimeout(debounceTimerRef.current)
+  // SSR safety: without a DOM (and no custom adapter), render from the provider's URL (if any) with noop setters
+  if (!adapterOption && !isBrowser()) {
+    const noop = () => {}
+    const serverState = serverLocation
+      ? mergeInitial(readUrl(serverLocation.search, {}, serverLocation.pathname).values)
+      : initialState
+    const api = {
+      replace: noop,
+      reset: noop,
+      clear: noop,
+      setKey: noop,
+      getSearch: () => (serverLocation ? serializeState(serverState) : ''),
+      buildHref: (patch) => hrefFor({ ...serverState, ...patch }, serverLocation ? serverLocation.search : '')
     }
+    return [serverState, noop, api]
+  }
 
-    if (debounceMs > 0) {
-      debounceTimerRef.current = setTimeout(() => {
-        updateUrl(newState)
-      }, debounceMs)
-    } else {
-      updateUrl(newState)
+  // Keys rejected by validation on init, reported once mounted
+  const invalidOnInitRef = useRef(null)
+
+  // Whether the initial state came from Web Storage, so the URL must catch up
+  const restoredRef = useRef(false)
+
+  // Parse initial URL (or the stored params when it has none) and merge with initialState
+  const getInitialState = () => {
+    const search = adapter.read()
+    const stored = persistStorage && !readPairs(search).some(pair => isManaged(pair.key))
+      ? readStorage(persistStorage, persistKey)
+      : null
+
+    restoredRef.current = Boolean(stored)
+
+    const { values, invalid } = readUrl(stored || search)
+    invalidOnInitRef.current = invalid
+    return mergeInitial(values)
+  }
+
+  // State lives in an external store, so a change is applied once, when it is made
+  const storeRef = useRef(null)
+  if (storeRef.current === null) {
+    storeRef.current = createStateStore(getInitialState())
+  }
+  const store = storeRef.current
+  const state = useSyncExternalStore(store.subscribe, store.getState, store.getState)
+  const timerRef = useRef(null)
+  const pendingWriteRef = useRef(null)
+  const lastWriteRef = useRef(0)
+  const flushRef = useRef(null)
+  const changeRef = useRef(null)
+  const [isPending, setIsPending] = useState(false)
+
+  // History entries this hook created, by entry index (the mount entry counts as ours)
+  const entriesRef = useRef(null)
+  if (entriesRef.current === null) {
+    entriesRef.current = [entryIndex(adapter)]
+  }
+  const [undoState, setUndoState] = useState({ canUndo: false, canRedo: false })
+
+  // Commit to the store; URL writes are scheduled by the caller, never from a render
+  const commitState = useCallback((newState, source) => {
+    const prevState = store.getState()
+    store.setState(newState)
+    changeRef.current(newState, prevState, source)
+  }, [store])
+
+  // Report a committed change; reads the latest options
+  changeRef.current = (next, prev, source) => {
+    const keys = changedKeys(prev, next).filter(key => !deepEqual(prev[key], next[key]))
+    if (onChange && keys.length > 0) {
+      onChange(next, prev, { source, changedKeys: keys, search: serializeState(next) })
+    }
+  }
+
+  // Entry we were on before the latest navigation, and whether we are stepping back to it
+  const navEntryRef = useRef(null)
+  if (navEntryRef.current === null) {
+    navEntryRef.current = currentEntry(adapter)
+  }
+  const restoringRef = useRef(false)
+
+  // Run beforeChange interceptors; returns the state to commit, or null when cancelled
+  const intercept = useCallback((next, prev, source) => {
+    const interceptors = [].concat(beforeChange || [])
+
+    return interceptors.reduce((current, fn) => {
+      if (current === null) return null
+
+      const result = fn(current, prev, { source })
+      if (result === false) return null
+      return isPlainObject(result) ? result : current
+    }, next)
+  }, [beforeChange])
+
+  // Recompute canUndo/canRedo from our entries and the current entry
+  const syncUndoState = useCallback(() => {
+    const current = entryIndex(adapter)
+    const canUndo = entriesRef.current.some(idx => idx < current)
+    const canRedo = entriesRef.current.some(idx => idx > current)
+
+    setUndoState(prev => (prev.canUndo === canUndo && prev.canRedo === canRedo ? prev : { canUndo, canRedo }))
+  }, [adapter])
+
+  // Remember entries we push; anything after them is no longer reachable
+  const recordEntry = useCallback((history) => {
+    if (history !== 'push') return
+
+    const current = entryIndex(adapter)
+    entriesRef.current = entriesRef.current.filter(idx => idx < current).concat(current)
+    syncUndoState()
+  }, [adapter, syncUndoState])
+
+  // Once our write reaches the URL: track pushed entries and log the result
+  const commitWrite = useCallback((history) => {
+    recordEntry(history)
+
+    if (debug) {
+      const search = adapter.read()
+      log('write', {
+        call: `setSearch(${JSON.stringify(search)}, '${history}')`,
+        url: adapter.href ? adapter.href(search) : `?${search}`
+      })
+    }
+  }, [adapter, recordEntry, debug])
+
+  // Pick the history mode for a write: a per-call mode wins, otherwise push if any changed key pushes
+  const resolveHistory = useCallback(({ history, changedKeys } = {}) => {
+    if (history) return history
+
+    const keys = (changedKeys || managedKeysRef.current).filter(isManagedKey)
+    if (keys.length === 0) return historyMode
+
+    return keys.some(key => (keyHistory[key] || historyMode) === 'push') ? 'push' : 'replace'
+  }, [historyMode, keyHistory])
+
+  // Update URL based on current state
+  const updateUrl = useCallback((newState, writeOptions) => {
+    const mode = resolveHistory(writeOptions)
+
+    const { hidden, toEncode, transformed } = prepareWrite(newState, managedKeysOf(newState), initialStateRef.current)
+
+    // Serialize managed keys
+    const serializeKeys = (values) => serialize(scope(values, namespace), { schema: scope(schema, namespace), format })
+    let managedSearch = serializeKeys(transformed)
+    log('serialize', { state: toEncode, search: managedSearch })
+
+    const path = pathFor(newState)
+    if (pathPattern && !path) {
+      console.warn(`useUrlState: a required param of pathPattern '${pathPattern}' is empty, the path is left unchanged`)
     }
-  }, [debounceMs, updateUrl])
+    const pathname = path || (writeOptions && writeOptions.pathname)
+
+    // Keep the URL within maxUrlLength
+    if (maxUrlLength) {
+      const measure = (search) => urlLength(adapter, replaceManagedParams(adapter.read(), search, isManaged), pathname)
+      const length = measure(managedSearch)
+
+      if (length > maxUrlLength) {
+        const keys = []
+
+        if (overflow === 'compress' || overflow === 'history') {
+          const remaining = { ...transformed }
+          const compacted = {}
+
+          // Largest keys first, until the URL fits
+          const bySize = Object.keys(transformed)
+            .map(key => [key, serializeKeys({ [key]: transformed[key] }).length])
+            .sort((a, b) => b[1] - a[1])
+
+          bySize.some(([key]) => {
+            if (measure(managedSearch) <= maxUrlLength) return true
+
+            if (overflow === 'compress') {
+              compacted[key] = encodeCompact(serializeKeys({ [key]: transformed[key] }))
+            } else {
+              hidden[key] = newState[key]
+            }
+            delete remaining[key]
+            keys.push(key)
+
+            managedSearch = [serializeKeys(remaining), encode(scope(compacted, namespace), { format })]
+              .filter(Boolean)
+              .join('&')
+            return false
+          })
+        }
 
-  // State setter (supports object merge or function)
-  const setUrlState = useCallback((patchOrFn) => {
-    setState(prevState => {
-      const patch = typeof patchOrFn === 'function' ? patchOrFn(prevState) : patchOrFn
-      const newState = { ...prevState, ...patch }
+        const info = { length, maxLength: maxUrlLength, strategy: overflow, keys }
 
-      // Avoid unnecessary updates
-      if (!shallowEqual(prevState, newState)) {
-        scheduleUrlUpdate(newState)
+        if (overflow === 'refuse') {
+          onOverflow && onOverflow(info)
+          return
+        }
+
+        if (overflow === 'warn' || measure(managedSearch) > maxUrlLength) {
+          console.warn(`useUrlState: URL is ${length} characters long, over maxUrlLength (${maxUrlLength})`)
+        }
+        onOverflow && onOverflow(info)
       }
+    }
 
-      return newState
+    // Merged into the URL as it is when the batch flushes, after earlier writes
+    const apply = (currentSearch) => replaceManagedParams(currentSearch, managedSearch, isManaged)
+
+    queueWrite({
+      adapter,
+      apply,
+      history: mode,
+      hidden: hiddenKeys.length > 0 || (maxUrlLength && overflow === 'history') ? { [namespace || '']: hidden } : undefined,
+      pathname,
+      onCommit: commitWrite,
+      owner: store
     })
-  }, [scheduleUrlUpdate])
+  }, [adapter, resolveHistory, commitWrite, stripDefaults, serialize, transform, schema, namespace, format, hiddenKeys, maxUrlLength, overflow, onOverflow, pathPattern])
+
+  // Write the pending update now; the URL always gets the latest state
+  const flush = useCallback(() => {
+    const pending = pendingWriteRef.current
+    if (!pending) return
+
+    clearTimeout(timerRef.current)
+    timerRef.current = null
+    pendingWriteRef.current = null
+    lastWriteRef.current = Date.now()
+    setIsPending(false)
+
+    updateUrl(store.getState(), pending)
+  }, [updateUrl])
+
+  // Drop the pending update; state keeps its value but the URL isn't written
+  const cancel = useCallback(() => {
+    clearTimeout(timerRef.current)
+    timerRef.current = null
+    pendingWriteRef.current = null
+    setIsPending(false)
+  }, [])
+
+  // Timers call the latest flush, which sees the latest options
+  flushRef.current = flush
+
+  // Debounced or throttled URL update, depending on the changed keys
+  const scheduleUrlUpdate = useCallback((writeOptions, immediate = false) => {
+    // Writes folded into one delayed write keep push if any of them pushed
+    const pending = pendingWriteRef.current
+    pendingWriteRef.current = pending
+      ? {
+          history: resolveHistory(pending) === 'push' ? 'push' : resolveHistory(writeOptions),
+          changedKeys: [...new Set([...pending.changedKeys, ...writeOptions.changedKeys])]
+        }
+      : writeOptions
+
+    const debounce = immediate ? 0 : keyDelay(debounceMs, writeOptions.changedKeys)
+    const throttle = immediate ? 0 : keyDelay(throttleMs, writeOptions.changedKeys)
+
+    if (debounce > 0) {
+      clearTimeout(timerRef.current)
+      timerRef.current = setTimeout(() => flushRef.current(), debounce)
+      setIsPending(true)
+    } else if (throttle > 0 && Date.now() - lastWriteRef.current < throttle) {
+      // Trailing write at the end of the interval
+      if (!timerRef.current) {
+        timerRef.current = setTimeout(() => flushRef.current(), lastWriteRef.current + throttle - Date.now())
+        setIsPending(true)
+      }
+    } else {
+      flush()
+    }
+  }, [debounceMs, throttleMs, resolveHistory, flush])
+
+  // State setter (supports object merge or function), with an optional per-call history mode
+  const setUrlState = useCallback((patchOrFn, { history } = {}) => {
+    const prevState = store.getState()
+    const patch = typeof patchOrFn === 'function' ? patchOrFn(prevState) : patchOrFn
+    const newState = intercept({ ...prevState, ...patch }, prevState, 'set')
+
+    // Avoid unnecessary updates
+    if (newState && !shallowEqual(prevState, newState)) {
+      commitState(newState, 'set')
+      scheduleUrlUpdate({ history, changedKeys: changedKeys(prevState, newState) })
+    }
+  }, [intercept, commitState, scheduleUrlUpdate])
 
   // API methods
   const api = {
-    replace: useCallback((patch) => {
-      setState(prevState => {
-        const newState = { ...prevState, ...patch }
-        updateUrl(newState)
-        return newState
-      })
-    }, [updateUrl]),
+    replace: useCallback((patch, { history } = {}) => {
+      const prevState = store.getState()
+      const newState = intercept({ ...prevState, ...patch }, prevState, 'replace')
+      if (!newState) return
+
+      commitState(newState, 'replace')
+      scheduleUrlUpdate({ history, changedKeys: changedKeys(prevState, newState) }, true)
+    }, [intercept, commitState, scheduleUrlUpdate]),
 
     reset: useCallback(() => {
-      setState(initialStateRef.current)
-      updateUrl(initialStateRef.current)
-    }, [updateUrl]),
+      const prevState = store.getState()
+      const newState = intercept(initialStateRef.current, prevState, 'reset')
+      if (!newState) return
+
+      commitState(newState, 'reset')
+      scheduleUrlUpdate({ changedKeys: changedKeys(prevState, newState) }, true)
+    }, [intercept, commitState, scheduleUrlUpdate]),
 
     clear: useCallback(() => {
+      const keys = managedKeysOf(store.getState())
       const cleared = {}
-      managedKeysRef.current.forEach(key => {
+      keys.forEach(key => {
         cleared[key] = undefined
       })
-      setState(cleared)
-      setSearch('', historyMode, routing, basePath)
-    }, [historyMode, routing, basePath]),
+      commitState(cleared, 'clear')
+      cancel()
+
+      const apply = (currentSearch) => replaceManagedParams(currentSearch, '', isManaged)
+      const hidden = { ...cleared }
+
+      queueWrite({
+        adapter,
+        apply,
+        history: resolveHistory(),
+        hidden: hiddenKeys.length > 0 || (maxUrlLength && overflow === 'history') ? { [namespace || '']: hidden } : undefined,
+        onCommit: commitWrite,
+        owner: store
+      })
+    }, [adapter, commitState, cancel, resolveHistory, commitWrite, namespace, format, hiddenKeys, maxUrlLength, overflow]),
 
-    setKey: useCallback((key, value) => {
-      setUrlState({ [key]: value })
+    setKey: useCallback((key, value, setOptions) => {
+      setUrlState({ [key]: value }, setOptions)
     }, [setUrlState]),
 
-    getSearch: useCallback(() => {
-      const managed = {}
-      managedKeysRef.current.forEach(key => {
-        if (key in state) {
-          managed[key] = state[key]
+    getSearch: useCallback(() => serializeState(state), [state, serialize, transform, schema, namespace, format, hiddenKeys]),
+
+    // URL the hook would write for a patch, e.g. for links that open in a new tab
+    buildHref: useCallback((patch) => hrefFor({ ...state, ...patch }, adapter.read()), [state, adapter, stripDefaults, serialize, transform, schema, namespace, format, hiddenKeys]),
+
+    // Start managing keys added at runtime; URL values win over the current state
+    register: useCallback((keys) => {
+      const added = [].concat(keys).filter(key => !managedKeysRef.current.includes(key))
+      if (added.length === 0) return
+
+      managedKeysRef.current = [...managedKeysRef.current, ...added]
+
+      const { values } = readUrl()
+      const prevState = store.getState()
+      const newState = { ...prevState }
+      added.forEach(key => {
+        if (key in values) {
+          newState[key] = values[key]
         }
       })
-      const transformed = applyTransforms(managed, transform, 'out')
-      return serialize(transformed)
-    }, [state, serialize, transform])
+
+      if (!deepEqual(newState, prevState)) {
+        commitState(newState, 'sync')
+      }
+
+      // Values only the state has so far go to the URL
+      if (added.some(key => key in newState && !(key in values))) {
+        scheduleUrlUpdate({ changedKeys: added }, true)
+      }
+    }, [commitState, scheduleUrlUpdate]),
+
+    // Stop managing keys; their values stay in state and in the URL as they are
+    unregister: useCallback((keys) => {
+      const removed = [].concat(keys)
+      managedKeysRef.current = managedKeysRef.current.filter(key => !removed.includes(key))
+    }, []),
+
+    // Step back to the previous entry this hook created
+    undo: useCallback(() => {
+      const current = entryIndex(adapter)
+      const earlier = entriesRef.current.filter(idx => idx < current)
+      if (earlier.length > 0 && adapter.go) {
+        adapter.go(Math.max(...earlier) - current)
+      }
+    }, [adapter]),
+
+    // Step forward to the next entry this hook created
+    redo: useCallback(() => {
+      const current = entryIndex(adapter)
+      const later = entriesRef.current.filter(idx => idx > current)
+      if (later.length > 0 && adapter.go) {
+        adapter.go(Math.min(...later) - current)
+      }
+    }, [adapter]),
+
+    flush,
+    cancel,
+    isPending,
+    canUndo: undoState.canUndo,
+    canRedo: undoState.canRedo
   }
 
+  // Report hydration and values rejected on init, clean them out of the URL and write restored state to it
+  useEffect(() => {
+    changeRef.current(state, initialStateRef.current, 'init')
+
+    const invalid = invalidOnInitRef.current
+    if (invalid && invalid.length > 0) {
+      invalid.forEach(([key, value]) => onInvalid && onInvalid(key, value))
+    }
+    if ((invalid && invalid.length > 0) || restoredRef.current) {
+      updateUrl(state, { history: 'replace' })
+    }
+    invalidOnInitRef.current = null
+  }, [])
+
   // Listen to popstate/hashchange for back/forward navigation
   useEffect(() => {
     const handleNavigation = () => {
-      const urlParams = parseUrl(getSearch(routing))
-      const transformed = applyTransforms(urlParams, transform, 'in')
+      const { values, invalid } = readUrl()
+      const urlState = { ...initialStateRef.current }
+
+      // Merge only managed keys from URL
+      Object.keys(values).forEach(key => {
+        if (isManagedKey(key)) {
+          urlState[key] = values[key]
+        }
+      })
+
+      // Stepping back to the entry a cancelled navigation left skips the interceptors
+      const restoring = restoringRef.current
+      restoringRef.current = false
+      const newState = restoring ? urlState : intercept(urlState, store.getState(), 'popstate')
+
+      // Cancelled: go back to the entry we came from, or put our state and path back in the URL
+      // when either entry's position is unknown (not written by us)
+      if (!newState) {
+        const from = navEntryRef.current
+        const to = currentEntry(adapter)
+        if (adapter.go && from.index !== null && to.index !== null && from.index !== to.index) {
+          restoringRef.current = true
+          adapter.go(from.index - to.index)
+        } else {
+          updateUrl(store.getState(), { history: 'replace', pathname: from.pathname })
+        }
+        return
+      }
+
+      // Navigation wins over a delayed write of the state we're leaving
+      cancel()
+      navEntryRef.current = currentEntry(adapter)
 
-      setState(prevState => {
-        const newState = { ...initialStateRef.current }
+      commitState(newState, 'popstate')
+      syncUndoState()
 
-        // Merge only managed keys from URL
-        managedKeysRef.current.forEach(key => {
-          if (key in transformed) {
-            newState[key] = transformed[key]
-          }
-        })
+      invalid.forEach(([key, value]) => onInvalid && onInvalid(key, value))
+      if (invalid.length > 0 || !deepEqual(newState, urlState)) {
+        updateUrl(newState, { history: 'replace' })
+      }
+    }
+
+    // Another instance wrote the URL: re-read managed keys, keep everything else
+    const handleUrlChange = (history, owners) => {
+      navEntryRef.current = currentEntry(adapter)
+
+      // A push drops every entry after it, including ones we created
+      if (history === 'push') {
+        const current = entryIndex(adapter)
+        entriesRef.current = entriesRef.current.filter(idx => idx <= current)
+        syncUndoState()
+      }
+
+      // Our own writes are already in state, and a pending delayed write will overwrite the URL anyway
+      const own = owners && owners.has(store)
+      if ((own && owners.size === 1) || pendingWriteRef.current) return
 
-        return newState
+      const { values } = readUrl()
+      const newState = { ...store.getState() }
+      const keys = new Set([...managedKeysOf(newState), ...Object.keys(values).filter(isManagedKey)])
+
+      // Batched with our own write: keys that still read back as our state keep their value as set
+      const ownValues = own ? readUrl(serializeState(newState)).values : {}
+
+      // Keys gone from the URL fall back to their initial value, or are dropped if they have none
+      keys.forEach(key => {
+        if (key in ownValues && deepEqual(ownValues[key], values[key])) return
+
+        if (key in values) {
+          newState[key] = values[key]
+        } else if (key in initialStateRef.current) {
+          newState[key] = initialStateRef.current[key]
+        } else {
+          delete newState[key]
+        }
       })
+
+      if (!deepEqual(newState, store.getState())) {
+        commitState(newState, 'sync')
+      }
     }
 
-    const cleanupPopState = onPopState(handleNavigation)
-    const cleanupHashChange = routing === 'hash' ? onHashChange(handleNavigation) : () => {}
+    const cleanupNavigation = adapter.subscribe(handleNavigation)
+    const cleanupWrite = onWrite(adapter, handleUrlChange)
 
     return () => {
-      cleanupPopState()
-      cleanupHashChange()
-      if (debounceTimerRef.current) {
-        clearTimeout(debounceTimerRef.current)
-      }
+      cleanupNavigation()
+      cleanupWrite()
+    }
+  }, [adapter, parseUrl, transform, schema, namespace, format, validate, onInvalid, intercept, commitState, cancel, syncUndoState, updateUrl])
+
+  // Mirror the managed params into Web Storage on mount, after every write and on navigation
+  useEffect(() => {
+    if (!persistStorage) return
+
+    const save = () => {
+      writeStorage(persistStorage, persistKey, pickManagedParams(adapter.read(), isManaged))
+    }
+
+    // A restored state is saved once it reaches the URL
+    if (!restoredRef.current) {
+      save()
+    }
+
+    const cleanupNavigation = adapter.subscribe(save)
+    const cleanupWrite = onWrite(adapter, save)
+
+    return () => {
+      cleanupNavigation()
+      cleanupWrite()
+    }
+  }, [adapter, persistStorage, persistKey, namespace, format])
+
+  // Don't lose delayed writes when the component unmounts or the page goes away
+  useEffect(() => {
+    const cleanupPageHide = onPageHide(() => flushRef.current())
+
+    return () => {
+      cleanupPageHide()
+      flushRef.current()
     }
-  }, [routing, parseUrl, transform])
+  }, [])
 
   return [state, setUrlState, api]
 }
@@ -239,6 +800,135 @@ function applyTransforms(obj, transform, direction) {
   return result
 }
 
+/**
+ * Expand the managed params that were compressed to fit maxUrlLength back
+ * into the params they stand for.
+ *
+ * @param {string} search - Search string (without leading '?')
+ * @param {Function} isManagedKey - Tells whether a state key is managed
+ * @param {string} [namespace]
+ * @param {string} [format]
+ * @returns {string}
+ */
+function expandCompactParams(search, isManagedKey, namespace, format) {
+  const pieces = search.split('&').filter(Boolean)
+  const pairs = readPairs(search)
+
+  return pieces.map((piece, i) => {
+    const path = keyPath(pairs[i].key, format)
+    const isTopLevel = namespace ? path.length === 2 && path[0] === namespace : path.length === 1
+    if (!isTopLevel || !isManagedKey(path[path.length - 1]) || !isCompact(pairs[i].value)) {
+      return piece
+    }
+
+    const expanded = decodeCompact(pairs[i].value)
+    return typeof expanded === 'string' ? expanded : piece
+  }).filter(Boolean).join('&')
+}
+
+/**
+ * Check a state key against an entry of the keys option: an exact key, a
+ * prefix ending in '*', or a RegExp.
+ *
+ * @param {string|RegExp} matcher
+ * @param {string} key
+ * @returns {boolean}
+ */
+function matchesKey(matcher, key) {
+  if (matcher instanceof RegExp) return key.search(matcher) !== -1
+  if (matcher.endsWith('*')) return key.startsWith(matcher.slice(0, -1))
+  return matcher === key
+}
+
+/**
+ * Length of the URL a search string would be written to.
+ *
+ * @param {Object} adapter
+ * @param {string} search
+ * @param {string} [pathname]
+ * @returns {number}
+ */
+function urlLength(adapter, search, pathname) {
+  return adapter.href ? adapter.href(search, pathname).length : search.length + 1
+}
+
+/**
+ * Param values as written in a query string, by top-level key (under the
+ * namespace): the decoded string, or an array of them for a key written more
+ * than once.
+ *
+ * @param {string} search
+ * @param {string} [namespace]
+ * @param {string} format
+ * @returns {Object}
+ */
+function rawParams(search, namespace, format) {
+  const raw = {}
+
+  readPairs(search).forEach(({ key, value }) => {
+    const path = keyPath(key, format)
+    if (namespace && path[0] !== namespace) return
+
+    const name = namespace ? path[1] : path[0]
+    if (!name) return
+
+    raw[name] = name in raw ? [].concat(raw[name], value) : value
+  })
+
+  return raw
+}
+
+/**
+ * Position of the adapter's current history entry (0 if it doesn't track one).
+ *
+ * @param {Object} adapter
+ * @returns {number}
+ */
+function entryIndex(adapter) {
+  const index = adapter.index ? adapter.index() : 0
+  return typeof index === 'number' ? index : 0
+}
+
+/**
+ * The adapter's current entry: its position (null if unknown) and path.
+ *
+ * @param {Object} adapter
+ * @returns {{ index: number|null, pathname: string|undefined }}
+ */
+function currentEntry(adapter) {
+  const index = adapter.index ? adapter.index() : null
+  return {
+    index: typeof index === 'number' ? index : null,
+    pathname: adapter.readPath ? adapter.readPath() : undefined
+  }
+}
+
+/**
+ * Delay for a write: a single number applies to every key, a per-key map
+ * uses the longest delay among the changed keys.
+ *
+ * @param {number|Object} delay - debounceMs or throttleMs option
+ * @param {string[]} keys - Changed keys
+ * @returns {number}
+ */
+function keyDelay(delay, keys) {
+  if (typeof delay === 'number') return delay
+  if (!delay) return 0
+  return Math.max(0, ...keys.map(key => delay[key] || 0))
+}
+
+/**
+ * Keys whose values differ between two state objects.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {string[]}
+ */
+function changedKeys(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return [...keys].filter(key => a[key] !== b[key])
+}
+
 /**
  * Shallow equality check for objects.
  *
@@ -256,7 +946,7 @@ function shallowEqual(a, b) {
 }
 
 /**
- * Deep equality check for values (handles primitives, arrays, objects).
+ * Deep equality check for values (handles primitives, dates, arrays, objects).
  *
  * @param {*} a
  * @param {*} b
@@ -267,6 +957,16 @@ function deepEqual(a, b) {
 
   if (a == null || b == null) return a === b
 
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime()
+
+  if (a instanceof Set && b instanceof Set) {
+    return a.size === b.size && [...a].every(item => b.has(item))
+  }
+
+  if (a instanceof Map && b instanceof Map) {
+    return a.size === b.size && [...a].every(([key, item]) => b.has(key) && deepEqual(item, b.get(key)))
+  }
+
   if (Array.isArray(a) && Array.isArray(b)) {
     if (a.length !== b.length) return false
     return a.every((item, i) => deepEqual(item, b[i]))
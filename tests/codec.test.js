@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest'
+import { encodeCompact, decodeCompact, createCompactCodec } from '../src/codec.js'
+
+describe('compact codec', () => {
+  it('should round-trip JSON values', () => {
+    const values = [0, '', 'héllo ✓', [1, 'a', null], { a: { b: [true, { c: 'd' }] } }]
+
+    values.forEach(value => {
+      expect(decodeCompact(encodeCompact(value))).toEqual(value)
+    })
+  })
+
+  it('should produce a short URL-safe string for repetitive state', () => {
+    const tree = {
+      rules: Array.from({ length: 50 }, (_, i) => ({ field: 'status', op: 'eq', value: `open-${i}` }))
+    }
+    const encoded = encodeCompact(tree)
+
+    expect(encoded).toMatch(/^~[A-Za-z0-9_-]+$/)
+    expect(encoded.length).toBeLessThan(JSON.stringify(tree).length / 2)
+    expect(decodeCompact(encoded)).toEqual(tree)
+  })
+
+  it('should return undefined for values that are not compact', () => {
+    expect(decodeCompact('plain')).toBeUndefined()
+    expect(decodeCompact('~***')).toBeUndefined()
+  })
+
+  it('should store chosen keys as one param each and pass the rest through', () => {
+    const codec = createCompactCodec(['tree', 'orders.query'])
+    const state = { page: 2, tree: { a: [1, 'x'] }, orders: { page: 3, query: { q: 'x' } } }
+    const search = codec.serialize(state)
+
+    expect(search).toMatch(/^page=2&orders\.page=3&tree=~[\w-]+&orders\.query=~[\w-]+$/)
+    expect(codec.parse(search)).toEqual(state)
+  })
+})
@@ -0,0 +1,230 @@
+import { describe, it, expect } from 'vitest'
+import { encode, parse } from '../src/encode.js'
+import { types } from '../src/schema.js'
+
+describe('encode/parse', () => {
+  it('should coerce numbers and booleans without a schema', () => {
+    expect(parse('page=2&open=true&q=007')).toEqual({ page: 2, open: true, q: 7 })
+  })
+
+  it('should decode keys with a schema by their type', () => {
+    const schema = {
+      q: types.string,
+      zip: types.string,
+      page: types.int,
+      price: types.float,
+      open: types.boolean,
+      sort: types.enum(['asc', 'desc']),
+      from: types.date,
+      ids: types.array(types.int),
+      range: { min: types.int }
+    }
+
+    const result = parse(
+      'q=007&zip=01234&page=3&price=9.5&open=false&sort=desc&from=2024-01-15&ids=1&ids=2&range.min=5&range.label=007',
+      { schema }
+    )
+
+    expect(result).toEqual({
+      q: '007',
+      zip: '01234',
+      page: 3,
+      price: 9.5,
+      open: false,
+      sort: 'desc',
+      from: new Date('2024-01-15T00:00:00.000Z'),
+      ids: [1, 2],
+      range: { min: 5, label: 7 }
+    })
+  })
+
+  it('should drop keys whose type rejects the value', () => {
+    const schema = { page: types.int, sort: types.enum(['asc', 'desc']) }
+    expect(parse('page=abc&sort=sideways', { schema })).toEqual({})
+  })
+
+  it('should encode keys with a schema by their type', () => {
+    const schema = { from: types.date, ids: types.array(types.int), open: types.boolean }
+    const search = encode({ from: new Date('2024-01-15T10:00:00.000Z'), ids: [1, 2], open: false }, { schema })
+    expect(search).toBe('from=2024-01-15&ids=1&ids=2&open=false')
+  })
+
+  describe('formats', () => {
+    const state = { filter: { status: 'open', owner: 'a b' }, tags: ['x', 'y,z'], page: 2 }
+
+    it('should use dot notation and repeated keys by default', () => {
+      expect(encode(state)).toBe('filter.status=open&filter.owner=a+b&tags=x&tags=y%2Cz&page=2')
+    })
+
+    it('should use bracket notation', () => {
+      const search = encode(state, { format: 'bracket' })
+      expect(search).toBe('filter[status]=open&filter[owner]=a+b&tags[]=x&tags[]=y%2Cz&page=2')
+      expect(parse(search, { format: 'bracket' })).toEqual(state)
+    })
+
+    it('should use indexed brackets', () => {
+      const search = encode(state, { format: 'indexed' })
+      expect(search).toBe('filter[status]=open&filter[owner]=a+b&tags[0]=x&tags[1]=y%2Cz&page=2')
+      expect(parse(search, { format: 'indexed' })).toEqual(state)
+    })
+
+    it('should keep indexed items in index order', () => {
+      expect(parse('tags[2]=c&tags[0]=a&tags[5]=d', { format: 'indexed' })).toEqual({ tags: ['a', 'c', 'd'] })
+    })
+
+    it('should use comma lists', () => {
+      const search = encode(state, { format: 'comma' })
+      expect(search).toBe('filter.status=open&filter.owner=a+b&tags=x,y%2Cz&page=2')
+      expect(parse(search, { format: 'comma' })).toEqual(state)
+    })
+
+    it('should ignore keys that reach the object prototype', () => {
+      const links = [
+        ['__proto__.p=1&page=2', 'dot'],
+        ['__proto__[p]=1&page=2', 'bracket'],
+        ['a[__proto__][p]=1&page=2', 'indexed'],
+        ['constructor.prototype.p=1&page=2', 'comma']
+      ]
+
+      links.forEach(([search, format]) => {
+        expect(parse(search, { format })).toEqual({ page: 2 })
+      })
+      expect({}.p).toBeUndefined()
+    })
+
+    it('should read qs-style URLs with percent-encoded brackets', () => {
+      expect(parse('filter%5Bstatus%5D=open&tags%5B%5D=a&tags%5B%5D=b', { format: 'bracket' }))
+        .toEqual({ filter: { status: 'open' }, tags: ['a', 'b'] })
+    })
+  })
+
+  describe('arrays of objects', () => {
+    const state = { sorts: [{ field: 'name', dir: 'asc' }, { field: 'date', dir: 'desc' }], page: 1 }
+
+    it('should write items under their index', () => {
+      expect(encode(state)).toBe('sorts.0.field=name&sorts.0.dir=asc&sorts.1.field=date&sorts.1.dir=desc&page=1')
+      expect(encode(state, { format: 'bracket' }))
+        .toBe('sorts[0][field]=name&sorts[0][dir]=asc&sorts[1][field]=date&sorts[1][dir]=desc&page=1')
+    })
+
+    it('should round-trip in every format', () => {
+      const nested = { ...state, rules: [{ field: 'tags', values: ['a'] }] }
+      ;['dot', 'bracket', 'indexed', 'comma'].forEach(format => {
+        expect(parse(encode(nested, { format }), { format })).toEqual(nested)
+      })
+    })
+
+    it('should round-trip objects mixed with scalars and nulls', () => {
+      const mixed = { a: [null, { a: 1 }], b: [1, { a: 1 }], c: [{ a: 1 }, 'x', null] }
+      expect(encode({ a: mixed.a })).toBe('a.0&a.1.a=1')
+
+      ;['dot', 'bracket', 'indexed', 'comma'].forEach(format => {
+        expect(parse(encode(mixed, { format }), { format })).toEqual(mixed)
+      })
+    })
+
+    it('should read reordered and sparse indices in index order', () => {
+      expect(parse('sorts.4.field=date&sorts.1.field=name&sorts.4.dir=desc'))
+        .toEqual({ sorts: [{ field: 'name' }, { field: 'date', dir: 'desc' }] })
+    })
+
+    it('should round-trip nested arrays in every format', () => {
+      const nested = { m: [[1, 2], [3], []], grid: [{ cells: [[true], ['a', 'b']] }] }
+      expect(encode({ m: nested.m })).toBe('m.0[]=1&m.0[]=2&m.1[]=3&m.2[]')
+      expect(encode({ m: nested.m }, { format: 'indexed' })).toBe('m[0][0]=1&m[0][1]=2&m[1][0]=3&m[2][]')
+
+      ;['dot', 'bracket', 'indexed', 'comma'].forEach(format => {
+        expect(parse(encode(nested, { format }), { format })).toEqual(nested)
+      })
+    })
+
+    it('should apply a nested schema to each item', () => {
+      const schema = { rules: { value: types.string, from: types.date } }
+      const rules = [{ value: '007', from: new Date('2024-01-15T00:00:00.000Z') }]
+      const search = encode({ rules }, { schema })
+
+      expect(search).toBe('rules.0.value=007&rules.0.from=2024-01-15')
+      expect(parse(search, { schema })).toEqual({ rules })
+    })
+  })
+
+  describe('Date, BigInt, Set and Map', () => {
+    const state = {
+      from: new Date('2024-01-15T10:30:00.000Z'),
+      total: 9007199254740993n,
+      tags: new Set(['a', 'b']),
+      counts: new Map([['red', 2], ['blue', 5]])
+    }
+
+    it('should write detected types without a schema', () => {
+      expect(encode(state)).toBe(
+        'from=2024-01-15T10%3A30%3A00.000Z&total=9007199254740993&tags=a&tags=b&counts=red%3A2&counts=blue%3A5'
+      )
+    })
+
+    it('should round-trip with the matching types', () => {
+      const schema = {
+        from: types.datetime,
+        total: types.bigint,
+        tags: types.set(),
+        counts: types.map(types.string, types.int)
+      }
+      expect(parse(encode(state, { schema }), { schema })).toEqual(state)
+      expect(parse(encode(state), { schema })).toEqual(state)
+    })
+
+    it('should keep empty and single-item sets and maps', () => {
+      const schema = { tags: types.set(), counts: types.map() }
+      const values = { tags: new Set(['x']), counts: new Map() }
+      expect(parse(encode(values, { schema }), { schema })).toEqual(values)
+    })
+
+    it('should drop map pairs that fail to decode', () => {
+      const schema = { counts: types.map(types.string, types.int) }
+      expect(parse('counts=red:2&counts=blue&counts=green:x', { schema }))
+        .toEqual({ counts: new Map([['red', 2]]) })
+    })
+
+    it('should round-trip map keys holding the separator', () => {
+      const at = new Date('2024-01-15T10:30:00.000Z')
+      const values = {
+        labels: new Map([['b:c', 'd:e'], ['50%3A', 'x']]),
+        events: new Map([[at, 3]])
+      }
+      const schema = { labels: types.map(), events: types.map(types.datetime, types.int) }
+
+      expect(encode({ labels: values.labels })).toBe('labels=b%253Ac%3Ad%3Ae&labels=50%25253A%3Ax')
+      expect(parse(encode(values), { schema })).toEqual(values)
+    })
+  })
+
+  describe('empty values', () => {
+    const state = { one: ['x'], none: [], blank: '', nothing: null, many: ['a', 'b'], user: { name: null } }
+
+    it('should keep single-item arrays, empty arrays, empty strings and nulls', () => {
+      const search = encode({ ...state, missing: undefined })
+      expect(search).toBe('one[]=x&none[]&blank=&nothing&many=a&many=b&user.name')
+      expect(parse(search)).toEqual(state)
+    })
+
+    it('should round-trip empty values in every format', () => {
+      ['dot', 'bracket', 'indexed', 'comma'].forEach(format => {
+        expect(parse(encode(state, { format }), { format })).toEqual(state)
+      })
+    })
+
+    it('should keep null items in arrays in every format', () => {
+      const lists = { one: [null], mixed: ['a', null], leading: [null, 'b'] }
+      expect(encode(lists)).toBe('one[]&one[]&mixed=a&mixed&leading&leading=b')
+      expect(encode(lists, { format: 'bracket' })).toBe('one[]&one[]&mixed[]=a&mixed[]&leading[]&leading[]&leading[]=b')
+
+      ;['dot', 'bracket', 'indexed', 'comma'].forEach(format => {
+        expect(parse(encode(lists, { format }), { format })).toEqual(lists)
+      })
+    })
+
+    it('should reject explicit nulls for keys with a schema type', () => {
+      expect(parse('page&owner', { schema: { page: types.int } })).toEqual({ owner: null })
+    })
+  })
+})
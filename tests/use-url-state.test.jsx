@@ -1,6 +1,15 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest'
-import { render, screen, waitFor } from '@testing-library/react'
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { StrictMode } from 'react'
+import { render, screen, waitFor, act, fireEvent } from '@testing-library/react'
+import { renderToString } from 'react-dom/server'
 import { useUrlState } from '../src/use-url-state.js'
+import { useUrlStateKey } from '../src/use-url-state-key.js'
+import { types } from '../src/schema.js'
+import { batch } from '../src/internal/batch.js'
+import { UrlStateProvider } from '../src/provider.js'
+import { UrlStateLink } from '../src/link.js'
+import { createMemoryAdapter } from '../src/adapters.js'
+import { createCompactCodec, encodeCompact } from '../src/codec.js'
 
 describe('useUrlState', () => {
   let initialLocation
@@ -108,6 +117,82 @@ describe('useUrlState', () => {
     expect(window.history.length).toBeGreaterThan(initialLength)
   })
 
+  it('should pick the history mode per key and per call', async () => {
+    let api
+    let setState
+
+    function TestComponent() {
+      const [state, set, hookApi] = useUrlState({ q: '', page: 1, tab: 'all' }, { keyHistory: { page: 'push' } })
+      api = hookApi
+      setState = set
+      return <div data-testid="state">{state.q}:{state.page}:{state.tab}</div>
+    }
+
+    render(<TestComponent />)
+    const length = () => window.history.length
+    const start = length()
+
+    act(() => setState({ q: 'shoes' }))
+    await waitFor(() => expect(window.location.search).toContain('q=shoes'))
+    expect(length()).toBe(start)
+
+    act(() => setState({ page: 2 }))
+    await waitFor(() => expect(window.location.search).toContain('page=2'))
+    expect(length()).toBe(start + 1)
+
+    // Mixed modes in one update: push wins
+    act(() => setState({ q: 'hats', page: 3 }))
+    await waitFor(() => expect(window.location.search).toContain('page=3'))
+    expect(length()).toBe(start + 2)
+
+    act(() => setState({ tab: 'new' }, { history: 'push' }))
+    await waitFor(() => expect(window.location.search).toContain('tab=new'))
+    expect(length()).toBe(start + 3)
+
+    act(() => api.setKey('page', 4, { history: 'replace' }))
+    await waitFor(() => expect(window.location.search).toContain('page=4'))
+    expect(length()).toBe(start + 3)
+  })
+
+  it('should tag the history entries it writes', async () => {
+    function TestComponent() {
+      const [state, setState] = useUrlState({ page: 1 }, { history: 'push' })
+      return <button onClick={() => setState({ page: state.page + 1 })}>Next</button>
+    }
+
+    const { getByText } = render(<TestComponent />)
+    getByText('Next').click()
+
+    await waitFor(() => expect(window.location.search).toBe('?page=2'))
+    expect(window.history.state.__urlState.idx).toBe(1)
+  })
+
+  it('should fire hashchange for hashes it pushes', async () => {
+    window.history.replaceState(null, '', '/#/list')
+    const hashChanges = []
+    const sources = []
+    const onHashChange = (event) => hashChanges.push(event.newURL)
+    window.addEventListener('hashchange', onHashChange)
+
+    function TestComponent() {
+      const [state, setState] = useUrlState({ page: 1 }, {
+        routing: 'hash',
+        history: 'push',
+        onChange: (next, prev, { source }) => sources.push(source)
+      })
+      return <button onClick={() => setState({ page: state.page + 1 })}>Next</button>
+    }
+
+    const { getByText } = render(<TestComponent />)
+    getByText('Next').click()
+
+    await waitFor(() => expect(window.location.hash).toBe('#/list?page=2'))
+    window.removeEventListener('hashchange', onHashChange)
+
+    expect(hashChanges).toEqual([window.location.href])
+    expect(sources).toEqual(['set'])
+  })
+
   it('should handle back button navigation', async () => {
     window.history.replaceState(null, '', '/?page=1')
 
@@ -159,6 +244,89 @@ describe('useUrlState', () => {
     })
   })
 
+  it('should flush, cancel and report pending debounced writes', async () => {
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ q: '', page: 1 }, { debounceMs: { q: 1000 } })
+      const [state, , api] = hook
+      return <div data-testid="state">{state.q}:{api.isPending ? 'pending' : 'idle'}</div>
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ q: 'sho' }))
+    expect(screen.getByTestId('state').textContent).toBe('sho:pending')
+    expect(window.location.search).toBe('')
+
+    act(() => hook[2].flush())
+    await waitFor(() => expect(window.location.search).toBe('?q=sho&page=1'))
+    expect(screen.getByTestId('state').textContent).toBe('sho:idle')
+
+    act(() => hook[1]({ q: 'shoes' }))
+    act(() => hook[2].cancel())
+    expect(screen.getByTestId('state').textContent).toBe('shoes:idle')
+
+    // Keys without a delay are written right away, along with anything pending
+    act(() => hook[1]({ q: 'hats' }))
+    act(() => hook[1]({ page: 2 }))
+    await waitFor(() => expect(window.location.search).toBe('?q=hats&page=2'))
+    expect(screen.getByTestId('state').textContent).toBe('hats:idle')
+  })
+
+  it('should flush pending writes on unmount', async () => {
+    let setState
+
+    function TestComponent() {
+      const [state, set] = useUrlState({ q: '' }, { debounceMs: 1000 })
+      setState = set
+      return <div>{state.q}</div>
+    }
+
+    const { unmount } = render(<TestComponent />)
+    act(() => setState({ q: 'last keystrokes' }))
+    unmount()
+
+    await waitFor(() => expect(window.location.search).toBe('?q=last+keystrokes'))
+  })
+
+  it('should flush pending writes on pagehide', async () => {
+    let setState
+
+    function TestComponent() {
+      const [state, set] = useUrlState({ q: '' }, { debounceMs: 1000 })
+      setState = set
+      return <div>{state.q}</div>
+    }
+
+    render(<TestComponent />)
+    act(() => setState({ q: 'bye' }))
+    window.dispatchEvent(new Event('pagehide'))
+
+    await waitFor(() => expect(window.location.search).toBe('?q=bye'))
+  })
+
+  it('should throttle writes per key', async () => {
+    let setState
+
+    function TestComponent() {
+      const [state, set] = useUrlState({ x: 0 }, { throttleMs: { x: 300 } })
+      setState = set
+      return <div>{state.x}</div>
+    }
+
+    render(<TestComponent />)
+    act(() => setState({ x: 1 }))
+    await waitFor(() => expect(window.location.search).toBe('?x=1'))
+
+    act(() => setState({ x: 2 }))
+    act(() => setState({ x: 3 }))
+    await new Promise(resolve => setTimeout(resolve, 10))
+    expect(window.location.search).toBe('?x=1')
+
+    await waitFor(() => expect(window.location.search).toBe('?x=3'))
+  })
+
   it('should strip default values when enabled', async () => {
     function TestComponent() {
       const [state, setState] = useUrlState({ page: 1, sort: 'asc' }, { stripDefaults: true })
@@ -178,6 +346,36 @@ describe('useUrlState', () => {
     })
   })
 
+  it('should keep cleared lists and single items when stripping defaults', async () => {
+    function TestComponent() {
+      const [state, setState] = useUrlState({ tags: ['react'], q: 'all' }, { stripDefaults: true })
+      return (
+        <>
+          <div data-testid="tags">{JSON.stringify(state)}</div>
+          <button onClick={() => setState({ tags: [], q: '' })}>Clear</button>
+          <button onClick={() => setState({ tags: ['vue'] })}>One</button>
+        </>
+      )
+    }
+
+    const { getByText, unmount } = render(<TestComponent />)
+    getByText('Clear').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?tags[]&q=')
+    })
+
+    getByText('One').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?tags[]=vue&q=')
+    })
+
+    unmount()
+    render(<TestComponent />)
+    expect(screen.getByTestId('tags').textContent).toBe('{"tags":["vue"],"q":""}')
+  })
+
   it('should handle nested objects', async () => {
     function TestComponent() {
       const [state, setState] = useUrlState({ user: { name: 'alice' } })
@@ -259,6 +457,36 @@ describe('useUrlState', () => {
     })
   })
 
+  it('should leave foreign params, their order and the hash untouched', async () => {
+    window.history.replaceState(null, '', '/?utm_id=00123&page=1&ref=a%20b&flag#section-2')
+
+    function TestComponent() {
+      const [state, setState, api] = useUrlState({ page: 1 })
+      return (
+        <>
+          <div data-testid="page">{state.page}</div>
+          <button onClick={() => setState({ page: 2 })}>Update</button>
+          <button onClick={() => api.clear()}>Clear</button>
+        </>
+      )
+    }
+
+    const { getByText } = render(<TestComponent />)
+    getByText('Update').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?utm_id=00123&page=2&ref=a%20b&flag')
+    })
+    expect(window.location.hash).toBe('#section-2')
+
+    getByText('Clear').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?utm_id=00123&ref=a%20b&flag')
+    })
+    expect(window.location.hash).toBe('#section-2')
+  })
+
   it('should support api.reset()', async () => {
     window.history.replaceState(null, '', '/?page=5')
 
@@ -302,6 +530,7 @@ describe('useUrlState', () => {
     await waitFor(() => {
       expect(window.location.search).toBe('')
     })
+    expect(screen.getByTestId('page').textContent).toBe('undefined')
   })
 
   it('should support api.setKey()', async () => {
@@ -342,35 +571,1280 @@ describe('useUrlState', () => {
     render(<TestComponent />)
     expect(screen.getByTestId('date').textContent).toBe('valid')
   })
-})
 
-describe('useUrlState SSR', () => {
-  it('should handle SSR (no window)', () => {
-    const originalWindow = global.window
-    const originalDocument = global.document
+  it('should decode and encode keys with a schema', async () => {
+    window.history.replaceState(null, '', '/?q=007&page=2')
 
-    delete global.window
-    delete global.document
+    function TestComponent() {
+      const [state, setState] = useUrlState(
+        { q: '', page: 1 },
+        { schema: { q: types.string, page: types.int } }
+      )
+      return (
+        <>
+          <div data-testid="q">{typeof state.q}:{state.q}</div>
+          <button onClick={() => setState({ q: 'true' })}>Update</button>
+        </>
+      )
+    }
+
+    const { getByText } = render(<TestComponent />)
+    expect(screen.getByTestId('q').textContent).toBe('string:007')
+
+    getByText('Update').click()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('q').textContent).toBe('string:true')
+      expect(window.location.search).toBe('?q=true&page=2')
+    })
+  })
+
+  it('should read and write the configured format', async () => {
+    window.history.replaceState(null, '', '/?filter[status]=open&tags[]=a&tags[]=b')
 
-    let hookResult
     function TestComponent() {
-      hookResult = useUrlState({ page: 1 })
-      const [state] = hookResult
-      return state.page
+      const [state, setState] = useUrlState({ filter: {}, tags: [] }, { format: 'bracket' })
+      return (
+        <>
+          <div data-testid="state">{state.filter.status}:{state.tags.join(',')}</div>
+          <button onClick={() => setState({ tags: ['c', 'd'] })}>Update</button>
+        </>
+      )
     }
 
-    expect(() => {
-      TestComponent()
-    }).not.toThrow()
+    const { getByText } = render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('open:a,b')
 
-    expect(hookResult[0]).toEqual({ page: 1 })
-    expect(typeof hookResult[1]).toBe('function')
-    expect(typeof hookResult[2].reset).toBe('function')
-    expect(typeof hookResult[2].clear).toBe('function')
-    expect(typeof hookResult[2].setKey).toBe('function')
-    expect(hookResult[2].getSearch()).toBe('')
+    getByText('Update').click()
 
-    global.window = originalWindow
-    global.document = originalDocument
+    await waitFor(() => {
+      expect(window.location.search).toBe('?filter[status]=open&tags[]=c&tags[]=d')
+    })
+  })
+
+  it('should store compacted keys as a single param', async () => {
+    const codec = createCompactCodec(['query'])
+    const query = { op: 'and', rules: [{ field: 'status', value: 'open' }] }
+    window.history.replaceState(null, '', `/?page=2&query=${encodeCompact(query)}`)
+
+    function TestComponent() {
+      const [state, setState] = useUrlState({ page: 1, query: { op: 'and', rules: [] } }, codec)
+      return (
+        <>
+          <div data-testid="rules">{state.page}:{state.query.rules.map(rule => rule.value).join(',')}</div>
+          <button onClick={() => setState({ query: { op: 'or', rules: [] } })}>Update</button>
+        </>
+      )
+    }
+
+    const { getByText } = render(<TestComponent />)
+    expect(screen.getByTestId('rules').textContent).toBe('2:open')
+
+    getByText('Update').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toBe(`?page=2&query=${encodeCompact({ op: 'or', rules: [] })}`)
+    })
+  })
+
+  it('should fall back to initial values when validation fails', async () => {
+    window.history.replaceState(null, '', '/?page=-3&sort=sideways&q=shoes')
+    const invalid = []
+
+    function TestComponent() {
+      const [state] = useUrlState(
+        { page: 1, sort: 'asc', q: '' },
+        {
+          validate: { page: { min: 1 }, sort: ['asc', 'desc'], q: (q) => q.length < 10 },
+          onInvalid: (key, value) => invalid.push([key, value])
+        }
+      )
+      return <div data-testid="state">{state.page}:{state.sort}:{state.q}</div>
+    }
+
+    render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('1:asc:shoes')
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?page=1&sort=asc&q=shoes')
+    })
+    expect(invalid).toEqual([['page', '-3'], ['sort', 'sideways']])
+  })
+
+  it('should report values their schema type rejects as invalid', async () => {
+    window.history.replaceState(null, '', '/?page=abc&sort=sideways&q=007')
+    const invalid = []
+
+    function TestComponent() {
+      const [state] = useUrlState(
+        { page: 1, sort: 'asc', q: '' },
+        {
+          schema: { page: types.int, sort: types.enum(['asc', 'desc']) },
+          onInvalid: (key, value) => invalid.push([key, value])
+        }
+      )
+      return <div data-testid="state">{state.page}:{state.sort}:{state.q}</div>
+    }
+
+    render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('1:asc:7')
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?page=1&sort=asc&q=7')
+    })
+    expect(invalid).toEqual([['page', 'abc'], ['sort', 'sideways']])
+  })
+
+  it('should fall back for bare typed keys instead of passing null on', async () => {
+    window.history.replaceState(null, '', '/?page&q')
+    const invalid = []
+
+    function TestComponent() {
+      const [state] = useUrlState(
+        { page: 1, q: '' },
+        {
+          schema: { page: types.int, q: types.string },
+          validate: { q: (q) => q.length <= 100 },
+          onInvalid: (key, value) => invalid.push([key, value])
+        }
+      )
+      return <div data-testid="state">{state.page}:{state.q}</div>
+    }
+
+    render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('1:')
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?page=1&q=')
+    })
+    expect(invalid).toEqual([['page', null], ['q', null]])
+  })
+
+  it('should validate values on back/forward navigation', async () => {
+    const invalid = []
+
+    function TestComponent() {
+      const [state] = useUrlState(
+        { page: 1 },
+        { validate: { page: { min: 1, max: 10 } }, onInvalid: (key) => invalid.push(key) }
+      )
+      return <div data-testid="page">{state.page}</div>
+    }
+
+    render(<TestComponent />)
+
+    window.history.pushState(null, '', '/?page=50')
+    window.dispatchEvent(new PopStateEvent('popstate'))
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?page=1')
+    })
+    expect(screen.getByTestId('page').textContent).toBe('1')
+    expect(invalid).toEqual(['page'])
+  })
+})
+
+describe('useUrlState sync', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('should keep instances managing the same key in sync', async () => {
+    function Header() {
+      const [state, setState] = useUrlState({ query: '' })
+      return (
+        <>
+          <div data-testid="header">{state.query}</div>
+          <button onClick={() => setState({ query: 'shoes' })}>Search</button>
+        </>
+      )
+    }
+
+    function Sidebar() {
+      const [state] = useUrlState({ query: '', open: false })
+      return <div data-testid="sidebar">{state.query}</div>
+    }
+
+    const { getByText } = render(
+      <>
+        <Header />
+        <Sidebar />
+      </>
+    )
+
+    getByText('Search').click()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('header').textContent).toBe('shoes')
+      expect(screen.getByTestId('sidebar').textContent).toBe('shoes')
+    })
+  })
+
+  it('should not read its own writes back from the URL', async () => {
+    const adapter = createMemoryAdapter('')
+    const sources = []
+    let hook
+    let other
+
+    function Search() {
+      hook = useUrlState({ q: '' }, { adapter, onChange: (next, prev, { source }) => sources.push(source) })
+      return null
+    }
+
+    function Other() {
+      other = useUrlState({ q: '' }, { adapter })
+      return null
+    }
+
+    render(<><Search /><Other /></>)
+
+    act(() => hook[1]({ q: '007' }))
+    await waitFor(() => expect(adapter.read()).toBe('q=007'))
+    expect(hook[0].q).toBe('007')
+    expect(other[0].q).toBe(7)
+
+    act(() => hook[1]({ q: 'true' }))
+    await waitFor(() => expect(adapter.read()).toBe('q=true'))
+    expect(hook[0].q).toBe('true')
+    expect(sources).toEqual(['set', 'set'])
+  })
+
+  it('should keep its own values when batched with another instance', () => {
+    const adapter = createMemoryAdapter('')
+    let search
+    let filters
+
+    function Search() {
+      search = useUrlState({ q: '', color: '' }, { adapter })
+      return null
+    }
+
+    function Filters() {
+      filters = useUrlState({ color: '' }, { adapter })
+      return null
+    }
+
+    render(<><Search /><Filters /></>)
+
+    act(() => batch(() => {
+      search[1]({ q: '007' })
+      filters[1]({ color: 'red' })
+    }))
+
+    expect(adapter.read()).toBe('q=007&color=red')
+    expect(search[0]).toEqual({ q: '007', color: 'red' })
+    expect(filters[0]).toEqual({ color: 'red' })
+  })
+})
+
+describe('useUrlState batching', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  function setup(onClick) {
+    const setters = {}
+
+    function Filters() {
+      const [, setFilters] = useUrlState({ category: 'all' }, { history: 'push' })
+      setters.filters = setFilters
+      return null
+    }
+
+    function Paging() {
+      const [, setPaging] = useUrlState({ page: 1 }, { history: 'push' })
+      setters.paging = setPaging
+      return null
+    }
+
+    const { getByText } = render(
+      <>
+        <Filters />
+        <Paging />
+        <button onClick={() => onClick(setters)}>Apply</button>
+      </>
+    )
+
+    return getByText('Apply')
+  }
+
+  it('should merge writes made in the same tick into one history entry', async () => {
+    const initialLength = window.history.length
+    const button = setup(({ filters, paging }) => {
+      filters({ category: 'shoes' })
+      paging({ page: 3 })
+    })
+
+    button.click()
+
+    await waitFor(() => {
+      expect(window.location.search).toContain('category=shoes')
+      expect(window.location.search).toContain('page=3')
+    })
+    expect(window.history.length).toBe(initialLength + 1)
+  })
+
+  it('should commit writes inside batch() synchronously as one entry', () => {
+    const initialLength = window.history.length
+    const button = setup(({ filters, paging }) => {
+      batch(() => {
+        filters({ category: 'hats' })
+        paging({ page: 2 })
+      })
+      expect(window.location.search).toContain('category=hats')
+      expect(window.location.search).toContain('page=2')
+    })
+
+    button.click()
+
+    expect(window.history.length).toBe(initialLength + 1)
+  })
+})
+
+describe('useUrlState namespace', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('should scope keys so several instances share one query string', async () => {
+    window.history.replaceState(null, '', '/?orders.page=3&utm_source=mail')
+
+    function Table({ name }) {
+      const [state, setState] = useUrlState({ page: 1, sort: 'asc' }, { namespace: name })
+      return (
+        <>
+          <div data-testid={`${name}-page`}>{state.page}</div>
+          <button onClick={() => setState({ page: state.page + 1 })}>{`next-${name}`}</button>
+        </>
+      )
+    }
+
+    const { getByText } = render(
+      <>
+        <Table name="orders" />
+        <Table name="users" />
+      </>
+    )
+
+    expect(screen.getByTestId('orders-page').textContent).toBe('3')
+    expect(screen.getByTestId('users-page').textContent).toBe('1')
+
+    getByText('next-users').click()
+
+    await waitFor(() => {
+      expect(screen.getByTestId('users-page').textContent).toBe('2')
+      expect(window.location.search).toContain('users.page=2')
+      expect(window.location.search).toContain('orders.page=3')
+      expect(window.location.search).toContain('utm_source=mail')
+    })
+
+    getByText('next-orders').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toContain('orders.page=4')
+      expect(window.location.search).toContain('users.page=2')
+    })
+  })
+})
+
+describe('useUrlState adapters', () => {
+  it('should read and write through a memory adapter', async () => {
+    window.history.replaceState(null, '', '/?page=9')
+    const adapter = createMemoryAdapter('?page=2&ref=home')
+
+    function TestComponent() {
+      const [state, setState] = useUrlState({ page: 1 }, { adapter, history: 'push' })
+      return (
+        <>
+          <div data-testid="page">{state.page}</div>
+          <button onClick={() => setState({ page: state.page + 1 })}>Next</button>
+        </>
+      )
+    }
+
+    const { getByText } = render(<TestComponent />)
+    expect(screen.getByTestId('page').textContent).toBe('2')
+
+    getByText('Next').click()
+
+    await waitFor(() => {
+      expect(adapter.read()).toBe('page=3&ref=home')
+    })
+    expect(adapter.length).toBe(2)
+    expect(window.location.search).toBe('?page=9')
+
+    act(() => adapter.back())
+
+    expect(screen.getByTestId('page').textContent).toBe('2')
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('should undo and redo only the entries the hook created', async () => {
+    const adapter = createMemoryAdapter('page=1')
+    let hook
+
+    function Pager() {
+      hook = useUrlState({ page: 1 }, { adapter, history: 'push' })
+      const [state, , api] = hook
+      return <div data-testid="page">{state.page}:{String(api.canUndo)}:{String(api.canRedo)}</div>
+    }
+
+    render(<Pager />)
+    expect(screen.getByTestId('page').textContent).toBe('1:false:false')
+
+    act(() => hook[1]({ page: 2 }))
+    await waitFor(() => expect(screen.getByTestId('page').textContent).toBe('2:true:false'))
+
+    // Someone else pushes an entry in between
+    adapter.write('page=2&modal=open', { history: 'push' })
+
+    act(() => hook[1]({ page: 3 }))
+    await waitFor(() => expect(screen.getByTestId('page').textContent).toBe('3:true:false'))
+
+    act(() => hook[2].undo())
+    expect(adapter.read()).toBe('page=2')
+    expect(screen.getByTestId('page').textContent).toBe('2:true:true')
+
+    act(() => hook[2].undo())
+    expect(adapter.read()).toBe('page=1')
+    expect(screen.getByTestId('page').textContent).toBe('1:false:true')
+
+    act(() => hook[2].redo())
+    act(() => hook[2].redo())
+    expect(adapter.read()).toBe('page=3&modal=open')
+    expect(screen.getByTestId('page').textContent).toBe('3:true:false')
+  })
+
+  it('should keep hidden keys in the history entry instead of the URL', async () => {
+    const adapter = createMemoryAdapter('page=1')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1, row: null }, { adapter, history: 'push', hiddenKeys: ['row'] })
+      return <div data-testid="state">{hook[0].page}:{String(hook[0].row)}</div>
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ page: 2, row: 'abc' }))
+    await waitFor(() => expect(adapter.read()).toBe('page=2'))
+    expect(adapter.hidden()).toEqual({ '': { row: 'abc' } })
+    expect(hook[2].getSearch()).toBe('page=2')
+
+    act(() => hook[1]({ page: 3, row: 'def' }))
+    await waitFor(() => expect(adapter.read()).toBe('page=3'))
+
+    act(() => adapter.back())
+    expect(screen.getByTestId('state').textContent).toBe('2:abc')
+
+    act(() => adapter.back())
+    expect(screen.getByTestId('state').textContent).toBe('1:null')
+  })
+
+  it('should restore hidden keys from history.state on load', async () => {
+    window.history.replaceState({ __urlState: { idx: 0, hidden: { '': { row: 'abc' } } } }, '', '/?page=2&row=zzz')
+
+    function TestComponent() {
+      const [state, setState] = useUrlState({ page: 1, row: null }, { hiddenKeys: ['row'] })
+      return (
+        <>
+          <div data-testid="state">{state.page}:{String(state.row)}</div>
+          <button onClick={() => setState({ row: 'def' })}>Select</button>
+        </>
+      )
+    }
+
+    const { getByText } = render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('2:abc')
+
+    getByText('Select').click()
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?page=2')
+    })
+    expect(window.history.state.__urlState.hidden).toEqual({ '': { row: 'def' } })
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('should work without a DOM when given an adapter', () => {
+    const originalWindow = global.window
+    const originalDocument = global.document
+
+    delete global.window
+    delete global.document
+
+    let hookResult
+    function TestComponent() {
+      hookResult = useUrlState({ page: 1 }, { adapter: createMemoryAdapter('page=4') })
+      return null
+    }
+
+    try {
+      renderToString(<TestComponent />)
+    } finally {
+      global.window = originalWindow
+      global.document = originalDocument
+    }
+
+    expect(hookResult[0]).toEqual({ page: 4 })
+  })
+})
+
+describe('useUrlState persist', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/')
+    window.localStorage.clear()
+  })
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('should restore stored params when the URL has none and rewrite the URL', async () => {
+    window.localStorage.setItem('products', 'page=3&sort=price')
+    window.history.replaceState(null, '', '/?utm_source=mail')
+
+    function TestComponent() {
+      const [state] = useUrlState({ page: 1, sort: 'name' }, { persist: { storage: 'local', key: 'products' } })
+      return <div data-testid="state">{state.page}:{state.sort}</div>
+    }
+
+    render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('3:price')
+
+    await waitFor(() => {
+      expect(window.location.search).toBe('?utm_source=mail&page=3&sort=price')
+    })
+  })
+
+  it('should let URL values override stored ones', () => {
+    window.localStorage.setItem('products', 'page=3&sort=price')
+    window.history.replaceState(null, '', '/?page=5')
+
+    function TestComponent() {
+      const [state] = useUrlState({ page: 1, sort: 'name' }, { persist: { storage: 'local', key: 'products' } })
+      return <div data-testid="state">{state.page}:{state.sort}</div>
+    }
+
+    render(<TestComponent />)
+    expect(screen.getByTestId('state').textContent).toBe('5:name')
+    expect(window.localStorage.getItem('products')).toBe('page=5')
+  })
+
+  it('should mirror managed params into session storage', async () => {
+    window.history.replaceState(null, '', '/?ref=home')
+
+    function TestComponent() {
+      const [state, setState] = useUrlState({ q: '' }, { persist: { storage: 'session', key: 'search' } })
+      return <button onClick={() => setState({ q: 'red shoes' })}>{state.q}</button>
+    }
+
+    const { getByRole } = render(<TestComponent />)
+    getByRole('button').click()
+
+    await waitFor(() => {
+      expect(window.sessionStorage.getItem('search')).toBe('q=red+shoes')
+    })
+    expect(window.localStorage.getItem('search')).toBe(null)
+  })
+})
+
+describe('useUrlState maxUrlLength', () => {
+  const tags = Array.from({ length: 40 }, (_, i) => `tag-${i % 4}`)
+
+  it('should warn and still write when no strategy is set', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const adapter = createMemoryAdapter('page=1')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1, tags: [] }, { adapter, maxUrlLength: 100 })
+      return null
+    }
+
+    render(<TestComponent />)
+    act(() => hook[1]({ tags }))
+
+    await waitFor(() => expect(adapter.read()).toContain('tags=tag-0'))
+    expect(warn).toHaveBeenCalledTimes(1)
+    warn.mockRestore()
+  })
+
+  it('should refuse the write and call onOverflow', async () => {
+    const adapter = createMemoryAdapter('page=1')
+    const overflows = []
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1, tags: [] }, {
+        adapter,
+        maxUrlLength: 100,
+        overflow: 'refuse',
+        onOverflow: (info) => overflows.push(info)
+      })
+      return <div data-testid="count">{hook[0].tags.length}</div>
+    }
+
+    render(<TestComponent />)
+    act(() => hook[1]({ tags }))
+
+    expect(screen.getByTestId('count').textContent).toBe('40')
+    expect(overflows).toEqual([{ length: 447, maxLength: 100, strategy: 'refuse', keys: [] }])
+
+    await Promise.resolve()
+    expect(adapter.read()).toBe('page=1')
+  })
+
+  it('should compress the largest keys until the URL fits', async () => {
+    const adapter = createMemoryAdapter('ref=home')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1, tags: [] }, { adapter, maxUrlLength: 200, overflow: 'compress' })
+      return null
+    }
+
+    const { unmount } = render(<TestComponent />)
+    act(() => hook[1]({ page: 2, tags }))
+
+    await waitFor(() => expect(adapter.read()).toMatch(/^ref=home&page=2&tags=~[\w-]+$/))
+    expect(adapter.read().length).toBeLessThanOrEqual(200)
+
+    unmount()
+    render(<TestComponent />)
+    expect(hook[0]).toEqual({ page: 2, tags, ref: 'home' })
+  })
+
+  it('should move overflowing keys into history.state', async () => {
+    const adapter = createMemoryAdapter('page=1')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1, tags: [] }, { adapter, history: 'push', maxUrlLength: 100, overflow: 'history' })
+      return <div data-testid="state">{hook[0].page}:{hook[0].tags.length}</div>
+    }
+
+    render(<TestComponent />)
+    act(() => hook[1]({ page: 2, tags }))
+    await waitFor(() => expect(adapter.read()).toBe('page=2'))
+
+    act(() => hook[1]({ page: 3, tags: ['a'] }))
+    await waitFor(() => expect(adapter.read()).toBe('page=3&tags[]=a'))
+    expect(adapter.hidden()).toEqual({ '': {} })
+
+    act(() => adapter.back())
+    expect(screen.getByTestId('state').textContent).toBe('2:40')
+  })
+})
+
+describe('useUrlState beforeChange', () => {
+  it('should run middleware in order and commit the rewritten state', async () => {
+    const adapter = createMemoryAdapter('')
+    const sources = []
+    let hook
+
+    const trim = (next, prev, { source }) => {
+      sources.push(source)
+      return { ...next, q: next.q.trim() }
+    }
+    const clamp = (next) => ({ ...next, page: Math.min(Math.max(next.page, 1), 10) })
+
+    function TestComponent() {
+      hook = useUrlState({ q: '', page: 1 }, { adapter, beforeChange: [trim, clamp] })
+      return null
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ q: '  shoes ', page: 40 }))
+    expect(hook[0]).toEqual({ q: 'shoes', page: 10 })
+    await waitFor(() => expect(adapter.read()).toBe('q=shoes&page=10'))
+
+    act(() => hook[2].replace({ page: 0 }))
+    act(() => hook[2].reset())
+    expect(sources).toEqual(['set', 'replace', 'reset'])
+  })
+
+  it('should cancel changes when an interceptor returns false', async () => {
+    const adapter = createMemoryAdapter('page=2')
+    let locked = true
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1 }, { adapter, beforeChange: () => !locked })
+      return <div data-testid="page">{hook[0].page}</div>
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ page: 3 }))
+    act(() => hook[2].reset())
+    expect(screen.getByTestId('page').textContent).toBe('2')
+
+    await Promise.resolve()
+    expect(adapter.read()).toBe('page=2')
+
+    locked = false
+    act(() => hook[1]({ page: 3 }))
+    expect(screen.getByTestId('page').textContent).toBe('3')
+  })
+
+  it('should restore the previous URL when a popstate change is cancelled', async () => {
+    const adapter = createMemoryAdapter('page=1')
+    let dirty = false
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1 }, {
+        adapter,
+        history: 'push',
+        beforeChange: (next, prev, { source }) => !(dirty && source === 'popstate')
+      })
+      return <div data-testid="page">{hook[0].page}</div>
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ page: 2 }))
+    await waitFor(() => expect(adapter.read()).toBe('page=2'))
+
+    dirty = true
+    act(() => adapter.back())
+    expect(adapter.read()).toBe('page=2')
+    expect(screen.getByTestId('page').textContent).toBe('2')
+
+    dirty = false
+    act(() => adapter.back())
+    expect(adapter.read()).toBe('page=1')
+    expect(screen.getByTestId('page').textContent).toBe('1')
+  })
+
+  it('should put the previous URL back when a cancelled popstate lands on an entry it did not write', async () => {
+    window.history.replaceState(null, '', '/other')
+    window.history.pushState(null, '', '/?page=1')
+    let dirty = false
+    let hook
+    let pops = 0
+    const countPop = () => { pops++ }
+    window.addEventListener('popstate', countPop)
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1 }, {
+        history: 'push',
+        beforeChange: (next, prev, { source }) => !(dirty && source === 'popstate')
+      })
+      return <div data-testid="page">{hook[0].page}</div>
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ page: 2 }))
+    await waitFor(() => expect(window.location.search).toBe('?page=2'))
+
+    dirty = true
+    window.history.go(-2)
+    await waitFor(() => expect(pops).toBe(1))
+    await waitFor(() => expect(`${window.location.pathname}${window.location.search}`).toBe('/?page=2'))
+    window.removeEventListener('popstate', countPop)
+
+    expect(pops).toBe(1)
+    expect(screen.getByTestId('page').textContent).toBe('2')
+  })
+})
+
+describe('useUrlState onChange and debug', () => {
+  it('should report each change with its source', async () => {
+    const adapter = createMemoryAdapter('page=2')
+    const changes = []
+    let hook
+    let other
+
+    function Pager() {
+      hook = useUrlState({ page: 1 }, {
+        adapter,
+        history: 'push',
+        onChange: (next, prev, { source, changedKeys, search }) => changes.push([source, changedKeys, search, prev.page])
+      })
+      return null
+    }
+
+    function Other() {
+      other = useUrlState({ page: 1 }, { adapter })
+      return null
+    }
+
+    render(<><Pager /><Other /></>)
+
+    act(() => hook[1]({ page: 3 }))
+    await waitFor(() => expect(adapter.read()).toBe('page=3'))
+
+    act(() => adapter.back())
+    act(() => other[1]({ page: 5 }))
+    await waitFor(() => expect(adapter.read()).toBe('page=5'))
+
+    act(() => hook[2].reset())
+    act(() => hook[2].clear())
+
+    expect(changes).toEqual([
+      ['init', ['page'], 'page=2', 1],
+      ['set', ['page'], 'page=3', 2],
+      ['popstate', ['page'], 'page=2', 3],
+      ['sync', ['page'], 'page=5', 2],
+      ['reset', ['page'], 'page=1', 5],
+      ['clear', ['page'], '', 1]
+    ])
+  })
+
+  it('should log parse, serialize and write steps in debug mode', async () => {
+    const logs = []
+    const log = vi.spyOn(console, 'log').mockImplementation((step, details) => logs.push([step, details]))
+    const adapter = createMemoryAdapter('page=2')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1 }, { adapter, debug: true })
+      return null
+    }
+
+    render(<TestComponent />)
+    act(() => hook[1]({ page: 3 }))
+    await waitFor(() => expect(adapter.read()).toBe('page=3'))
+    log.mockRestore()
+
+    expect(logs[0]).toEqual(['useUrlState: parse', { search: 'page=2', values: { page: 2 }, invalid: [] }])
+    expect(logs).toContainEqual(['useUrlState: serialize', { state: { page: 3 }, search: 'page=3' }])
+    expect(logs).toContainEqual(['useUrlState: write', { call: 'setSearch("page=3", \'replace\')', url: '?page=3' }])
+  })
+})
+
+describe('useUrlState links', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/')
+  })
+
+  it('should build the URL the hook would write for a patch', () => {
+    window.history.replaceState(null, '', '/somewhere?utm_source=mail&page=2#results')
+    let api
+
+    function TestComponent() {
+      const hook = useUrlState({ page: 1, tags: [] }, {
+        basePath: '/products',
+        stripDefaults: true,
+        transform: { tags: { out: tags => tags.join('|') } }
+      })
+      api = hook[2]
+      return null
+    }
+
+    render(<TestComponent />)
+
+    expect(api.buildHref({ page: 3, tags: ['a', 'b'] })).toBe('/products?utm_source=mail&page=3&tags=a%7Cb#results')
+    expect(api.buildHref({ page: 1 })).toBe('/products?utm_source=mail#results')
+  })
+
+  it('should build hash routing URLs', () => {
+    window.history.replaceState(null, '', '/#/list?page=2')
+    let api
+
+    function TestComponent() {
+      api = useUrlState({ page: 1 }, { routing: 'hash' })[2]
+      return null
+    }
+
+    render(<TestComponent />)
+    expect(api.buildHref({ page: 4 })).toBe('http://localhost:3000/#/list?page=4')
+  })
+
+  it('should render an anchor that updates state on a plain click', async () => {
+    function Pagination() {
+      const [state, , api] = useUrlState({ page: 1 })
+      return (
+        <>
+          <div data-testid="page">{state.page}</div>
+          <UrlStateLink api={api} patch={{ page: 2 }} history="push">Next</UrlStateLink>
+        </>
+      )
+    }
+
+    render(<Pagination />)
+    const link = screen.getByText('Next')
+    expect(link.getAttribute('href')).toBe('/?page=2')
+
+    // Modified clicks are left to the browser (new tab)
+    fireEvent.click(link, { ctrlKey: true })
+    expect(screen.getByTestId('page').textContent).toBe('1')
+
+    fireEvent.click(link)
+    expect(screen.getByTestId('page').textContent).toBe('2')
+    await waitFor(() => expect(window.location.search).toBe('?page=2'))
+  })
+})
+
+describe('useUrlState store', () => {
+  it('should run updaters and write the URL once under StrictMode', async () => {
+    const adapter = createMemoryAdapter('page=1')
+    const write = adapter.write
+    const writes = []
+    adapter.write = (search, options) => {
+      writes.push(search)
+      write(search, options)
+    }
+    let calls = 0
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1 }, { adapter, history: 'push' })
+      return <div data-testid="page">{hook[0].page}</div>
+    }
+
+    render(<StrictMode><TestComponent /></StrictMode>)
+
+    act(() => hook[1](prev => {
+      calls++
+      return { page: prev.page + 1 }
+    }))
+
+    expect(screen.getByTestId('page').textContent).toBe('2')
+    await waitFor(() => expect(adapter.read()).toBe('page=2'))
+    expect(calls).toBe(1)
+    expect(writes).toEqual(['page=2'])
+    expect(adapter.length).toBe(2)
+  })
+
+  it('should re-render a key selector only when its key changes', async () => {
+    const adapter = createMemoryAdapter('page=2&q=shoes')
+    const renders = { page: 0, q: 0 }
+    let setPage
+    let filters
+
+    function Page() {
+      renders.page++
+      const [page, set] = useUrlStateKey('page', { adapter, defaultValue: 1 })
+      setPage = set
+      return <div data-testid="page">{page}</div>
+    }
+
+    function Query() {
+      renders.q++
+      const [q] = useUrlStateKey('q', { adapter, defaultValue: '' })
+      return <div data-testid="q">{q}</div>
+    }
+
+    function Filters() {
+      filters = useUrlState({ q: '', page: 1 }, { adapter })
+      return null
+    }
+
+    render(<><Page /><Query /><Filters /></>)
+    expect(screen.getByTestId('page').textContent).toBe('2')
+    expect(renders).toEqual({ page: 1, q: 1 })
+
+    act(() => filters[1]({ q: 'hats' }))
+    await waitFor(() => expect(screen.getByTestId('q').textContent).toBe('hats'))
+    expect(renders).toEqual({ page: 1, q: 2 })
+
+    act(() => setPage(page => page + 1))
+    await waitFor(() => expect(screen.getByTestId('page').textContent).toBe('3'))
+    expect(adapter.read()).toBe('q=hats&page=3')
+    expect(filters[0].page).toBe(3)
+    expect(renders).toEqual({ page: 2, q: 2 })
+  })
+})
+
+describe('useUrlState managed keys', () => {
+  it('should manage keys matching prefixes and RegExps', async () => {
+    const adapter = createMemoryAdapter('q=shoes&facet_color=red&utm_source=mail')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ q: '' }, { adapter, history: 'push', keys: ['facet_*', /^price(Min|Max)$/] })
+      return null
+    }
+
+    render(<TestComponent />)
+    expect(hook[0].facet_color).toBe('red')
+
+    act(() => hook[1]({ facet_size: 'xl', priceMin: 10, other: 'local' }))
+    await waitFor(() => expect(adapter.read()).toBe('q=shoes&facet_color=red&facet_size=xl&priceMin=10&utm_source=mail'))
+
+    act(() => hook[1]({ facet_color: undefined }))
+    await waitFor(() => expect(adapter.read()).toBe('q=shoes&facet_size=xl&priceMin=10&utm_source=mail'))
+
+    act(() => adapter.back())
+    expect(hook[0]).toEqual({ q: 'shoes', facet_color: 'red', facet_size: 'xl', priceMin: 10 })
+
+    act(() => adapter.back())
+    expect(hook[0]).toEqual({ q: 'shoes', facet_color: 'red' })
+  })
+
+  it('should register and unregister keys at runtime', async () => {
+    const adapter = createMemoryAdapter('q=shoes&brand=acme')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ q: '' }, { adapter })
+      return null
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ size: 'xl' }))
+    await Promise.resolve()
+    expect(adapter.read()).toBe('q=shoes&brand=acme')
+
+    act(() => hook[2].register(['size', 'brand']))
+    await waitFor(() => expect(adapter.read()).toBe('q=shoes&size=xl&brand=acme'))
+
+    act(() => hook[1]({ brand: 'zeta' }))
+    await waitFor(() => expect(adapter.read()).toBe('q=shoes&size=xl&brand=zeta'))
+
+    act(() => hook[2].unregister('size'))
+    act(() => hook[1]({ q: 'hats', size: 'm' }))
+    await waitFor(() => expect(adapter.read()).toBe('q=hats&brand=zeta&size=xl'))
+  })
+})
+
+describe('useUrlState path params', () => {
+  it('should read and write keys in the path', async () => {
+    const adapter = createMemoryAdapter('/catalog/shoes/price?page=2')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ category: 'all', sort: 'name', page: 1 }, {
+        adapter,
+        history: 'push',
+        pathPattern: '/catalog/:category/:sort'
+      })
+      return null
+    }
+
+    render(<TestComponent />)
+    expect(hook[0]).toEqual({ category: 'shoes', sort: 'price', page: 2 })
+
+    act(() => hook[1]({ category: 'men & women', page: 1 }))
+    await waitFor(() => expect(adapter.href('')).toBe('/catalog/men%20%26%20women/price'))
+    expect(adapter.read()).toBe('page=1')
+    expect(hook[2].buildHref({ sort: 'name' })).toBe('/catalog/men%20%26%20women/name?page=1')
+
+    act(() => adapter.back())
+    expect(hook[0]).toEqual({ category: 'shoes', sort: 'price', page: 2 })
+  })
+
+  it('should leave out optional params and parse typed params', async () => {
+    const adapter = createMemoryAdapter('/posts/3')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ page: 1, tag: '' }, {
+        adapter,
+        pathPattern: '/posts/:page/:tag?',
+        schema: { page: types.number }
+      })
+      return null
+    }
+
+    render(<TestComponent />)
+    expect(hook[0]).toEqual({ page: 3, tag: '' })
+
+    act(() => hook[1]({ tag: 'react' }))
+    await waitFor(() => expect(adapter.href('')).toBe('/posts/3/react'))
+
+    act(() => hook[1]({ page: 4, tag: '' }))
+    await waitFor(() => expect(adapter.href('')).toBe('/posts/4'))
+  })
+
+  it('should leave the path alone when a required param is empty', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const adapter = createMemoryAdapter('/catalog/shoes/price')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ category: 'all', sort: 'name', page: 1 }, {
+        adapter,
+        pathPattern: '/catalog/:category/:sort'
+      })
+      return null
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ category: '', page: 2 }))
+    await waitFor(() => expect(adapter.read()).toBe('page=2'))
+    expect(adapter.href('')).toBe('/catalog/shoes/price')
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('/catalog/:category/:sort'))
+
+    warn.mockRestore()
+  })
+
+  it('should render path params from the request URL given to UrlStateProvider', () => {
+    const originalWindow = global.window
+    const originalDocument = global.document
+
+    delete global.window
+    delete global.document
+
+    function TestComponent() {
+      const [state] = useUrlState({ category: 'all', page: 1 }, { pathPattern: '/catalog/:category' })
+      return <span>{state.category}:{state.page}</span>
+    }
+
+    let html
+    try {
+      html = renderToString(
+        <UrlStateProvider url="/catalog/hats?page=5">
+          <TestComponent />
+        </UrlStateProvider>
+      )
+    } finally {
+      global.window = originalWindow
+      global.document = originalDocument
+    }
+
+    expect(html).toContain('hats<!-- -->:<!-- -->5')
+  })
+})
+
+describe('useUrlState value types', () => {
+  it('should detect Date, BigInt, Set and Map types from initialState', async () => {
+    const adapter = createMemoryAdapter('from=2024-02-01T08:00:00.000Z&total=9007199254740993&tags=x&tags=y')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({
+        from: new Date('2024-01-01T00:00:00.000Z'),
+        total: 0n,
+        tags: new Set(),
+        counts: new Map([['red', 1]])
+      }, { adapter, history: 'push' })
+      return null
+    }
+
+    render(<TestComponent />)
+    expect(hook[0].from).toEqual(new Date('2024-02-01T08:00:00.000Z'))
+    expect(hook[0].total).toBe(9007199254740993n)
+    expect(hook[0].tags).toEqual(new Set(['x', 'y']))
+
+    act(() => hook[1]({ tags: new Set(['z']), counts: new Map([['blue', 3]]) }))
+    await waitFor(() => expect(adapter.read()).toContain('tags[]=z&counts[]=blue%3A3'))
+
+    act(() => adapter.back())
+    expect(hook[0].tags).toEqual(new Set(['x', 'y']))
+    expect(hook[0].counts).toEqual(new Map([['red', 1]]))
+
+    act(() => adapter.forward())
+    expect(hook[0].counts).toEqual(new Map([['blue', 3]]))
+  })
+
+  it('should let the schema pick a date-only type', async () => {
+    const adapter = createMemoryAdapter('')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlState({ from: new Date('2024-01-01T00:00:00.000Z') }, { adapter, schema: { from: types.date } })
+      return null
+    }
+
+    render(<TestComponent />)
+
+    act(() => hook[1]({ from: new Date('2024-03-05T00:00:00.000Z') }))
+    await waitFor(() => expect(adapter.read()).toBe('from=2024-03-05'))
+  })
+
+  it('should detect the type of a single key from its default value', async () => {
+    const adapter = createMemoryAdapter('tags=a&tags=b')
+    let hook
+
+    function TestComponent() {
+      hook = useUrlStateKey('tags', { adapter, defaultValue: new Set() })
+      return null
+    }
+
+    render(<TestComponent />)
+    expect(hook[0]).toEqual(new Set(['a', 'b']))
+
+    act(() => hook[1](tags => new Set([...tags, 'c'])))
+    await waitFor(() => expect(adapter.read()).toBe('tags=a&tags=b&tags=c'))
+  })
+})
+
+describe('useUrlState SSR', () => {
+  it('should handle SSR (no window)', () => {
+    const originalWindow = global.window
+    const originalDocument = global.document
+
+    delete global.window
+    delete global.document
+
+    let hookResult
+    function TestComponent() {
+      hookResult = useUrlState({ page: 1 })
+      const [state] = hookResult
+      return state.page
+    }
+
+    // Hooks read context, so render through the server renderer
+    expect(() => {
+      renderToString(<TestComponent />)
+    }).not.toThrow()
+
+    expect(hookResult[0]).toEqual({ page: 1 })
+    expect(typeof hookResult[1]).toBe('function')
+    expect(typeof hookResult[2].reset).toBe('function')
+    expect(typeof hookResult[2].clear).toBe('function')
+    expect(typeof hookResult[2].setKey).toBe('function')
+    expect(hookResult[2].getSearch()).toBe('')
+
+    global.window = originalWindow
+    global.document = originalDocument
+  })
+
+  it('should render from the request URL given to UrlStateProvider', () => {
+    const originalWindow = global.window
+    const originalDocument = global.document
+
+    delete global.window
+    delete global.document
+
+    let hookResult
+    function TestComponent() {
+      hookResult = useUrlState({ page: 1, sort: 'asc' }, { namespace: 'list' })
+      const [state] = hookResult
+      return <span>{state.page}:{state.sort}</span>
+    }
+
+    let html
+    try {
+      html = renderToString(
+        <UrlStateProvider url="/products?list.page=3&utm_source=mail">
+          <TestComponent />
+        </UrlStateProvider>
+      )
+    } finally {
+      global.window = originalWindow
+      global.document = originalDocument
+    }
+
+    expect(html).toContain('3<!-- -->:<!-- -->asc')
+    expect(hookResult[0]).toEqual({ page: 3, sort: 'asc' })
+    expect(hookResult[2].getSearch()).toBe('list.page=3&list.sort=asc')
+  })
+
+  it('should read window.location in the browser even inside a provider', () => {
+    window.history.replaceState(null, '', '/?page=3')
+
+    function TestComponent() {
+      const [state] = useUrlState({ page: 1 })
+      return <div data-testid="page">{state.page}</div>
+    }
+
+    render(
+      <UrlStateProvider search="?page=1">
+        <TestComponent />
+      </UrlStateProvider>
+    )
+
+    // The browser URL is the source of truth on the client
+    expect(screen.getByTestId('page').textContent).toBe('3')
+    window.history.replaceState(null, '', '/')
   })
 })